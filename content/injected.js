@@ -78,6 +78,8 @@
   // ============================================================================
 
   const Recording = {
+    emit: null,              // Active emit callback, for events stamped with their own time
+
     start(config = {}) {
       log('Recording.start called with config:', JSON.stringify(config, null, 2));
       log('Masking selectors:', config?.masking?.selectors || []);
@@ -94,12 +96,17 @@
       State.config = config;
       State.events = [];
       State.isRecording = true;
+      FieldAnalytics.start();
+      Abandonment.start();
 
       try {
         log('Calling rrweb.record()');
-        State.stopFn = rrweb.record(this.buildOptions(config));
+        const options = this.buildOptions(config);
+        this.emit = options.emit;
+        State.stopFn = rrweb.record(options);
         Network.intercept();
         ErrorCapture.setup();
+        Validation.start();
         Navigation.setup();
         
         log('Recording started successfully');
@@ -114,14 +121,22 @@
     stop() {
       if (!State.isRecording) return;
       
+      // Summarise fields while rrweb can still record the events
+      FieldAnalytics.emit();
+      Abandonment.report();
+      
       State.isRecording = false;
       if (State.stopFn) {
         State.stopFn();
         State.stopFn = null;
       }
+      this.emit = null;
       
       Network.restore();
       ErrorCapture.restore();
+      Frustration.reset();
+      Abandonment.stop();
+      Validation.stop();
       
       log('Recording stopped, events:', State.events.length);
       send('RECORDING_STOPPED', { timestamp: Date.now(), eventCount: State.events.length });
@@ -270,7 +285,12 @@
         State.events.push(maskedEvent);
         send('RRWEB_EVENT', { event: maskedEvent, eventCount: State.events.length, isCheckout });
         const simplified = EventParser.parse(maskedEvent);
-        if (simplified) send('TIMELINE_EVENT', simplified);
+        if (simplified) {
+          send('TIMELINE_EVENT', simplified);
+          FieldAnalytics.track(simplified, maskedEvent);
+        }
+        Frustration.inspect(maskedEvent);
+        Abandonment.track(maskedEvent, simplified);
       };
       
       return {
@@ -384,6 +404,30 @@
           data: event.data.payload
         };
       }
+      if (event.data?.tag === 'validation-error') {
+        return {
+          type: 'validation',
+          timestamp: event.timestamp,
+          data: event.data.payload,
+        };
+      }
+      if (event.data?.tag === 'form-abandon') {
+        return {
+          type: 'abandon',
+          timestamp: event.timestamp,
+          data: event.data.payload,
+        };
+      }
+      // Frustration signals (see Frustration module)
+      const signals = { 'rage-click': 'rage', 'dead-click': 'dead', 'focus-thrash': 'thrash' };
+      if (signals[event.data?.tag]) {
+        return {
+          type: 'frustration',
+          subtype: signals[event.data.tag],
+          timestamp: event.timestamp,
+          data: event.data.payload,
+        };
+      }
       return null;
     },
 
@@ -620,6 +664,585 @@
     }
   };
 
+  // ============================================================================
+  // Frustration Module (rage clicks, dead clicks, focus thrash)
+  // ============================================================================
+
+  const Frustration = {
+    RAGE_CLICKS: 3,          // Clicks on one element within RAGE_WINDOW
+    RAGE_WINDOW: 1000,
+    DEAD_CLICK_WINDOW: 1000, // Time a click has to change the DOM, scroll or navigate
+    THRASH_SWITCHES: 4,      // Focus changes between two fields within THRASH_WINDOW
+    THRASH_WINDOW: 3000,
+    NO_FEEDBACK_SELECTOR: 'input, textarea, select, option, label, [contenteditable], video, audio',
+    clicks: [],
+    focuses: [],
+    thrashing: false,
+    pending: null,
+
+    inspect(event) {
+      if (event.type !== EventParser.TYPES.INCREMENTAL_SNAPSHOT) {
+        return;
+      }
+      const { source, type, id } = event.data || {};
+      const { SOURCES, MOUSE_TYPES } = EventParser;
+
+      if (source === SOURCES.SCROLL || (source === SOURCES.MUTATION && this.hasChanges(event.data))) {
+        this.cancelDeadClick();
+      } else if (source === SOURCES.MOUSE_INTERACTION && type === MOUSE_TYPES.CLICK) {
+        this.click(id, event.timestamp);
+      } else if (source === SOURCES.MOUSE_INTERACTION && type === MOUSE_TYPES.FOCUS) {
+        this.focus(id, event.timestamp);
+      }
+    },
+
+    hasChanges(data) {
+      return !!(data.adds?.length || data.removes?.length || data.texts?.length || data.attributes?.length);
+    },
+
+    click(id, timestamp) {
+      const recent = this.clicks.filter(c => c.id === id && timestamp - c.timestamp <= this.RAGE_WINDOW);
+      this.clicks = [...recent, { id, timestamp }];
+
+      const node = EventParser.getNode(id);
+      if (this.clicks.length === this.RAGE_CLICKS) {
+        this.emit('rage-click', this.clicks[0].timestamp, { ...this.describe(node), count: this.RAGE_CLICKS });
+      }
+
+      // The latest click gets the feedback window
+      this.cancelDeadClick();
+      if (!node || node.closest?.(this.NO_FEEDBACK_SELECTOR)) {
+        return;
+      }
+      const href = location.href;
+      this.pending = setTimeout(() => {
+        this.pending = null;
+        if (location.href === href) {
+          this.emit('dead-click', timestamp, this.describe(node));
+        }
+      }, this.DEAD_CLICK_WINDOW);
+    },
+
+    cancelDeadClick() {
+      clearTimeout(this.pending);
+      this.pending = null;
+    },
+
+    focus(id, timestamp) {
+      const recent = this.focuses.filter(f => timestamp - f.timestamp <= this.THRASH_WINDOW);
+      if (recent[recent.length - 1]?.id === id) {
+        return;
+      }
+      recent.push({ id, timestamp });
+
+      // Keep the run that moves between two fields only
+      while (new Set(recent.map(f => f.id)).size > 2) {
+        recent.shift();
+      }
+      this.focuses = recent;
+
+      const switches = recent.length - 1;
+      if (switches < this.THRASH_SWITCHES) {
+        this.thrashing = false;
+      } else if (!this.thrashing) {
+        this.thrashing = true;
+        const node = EventParser.getNode(id);
+        this.emit('focus-thrash', recent[0].timestamp, {
+          selector: EventParser.getSelector(node),
+          label: EventParser.getLabel(node),
+          selectors: [...new Set(recent.map(f => EventParser.getSelector(EventParser.getNode(f.id))))],
+          switches,
+        });
+      }
+    },
+
+    reset() {
+      this.cancelDeadClick();
+      this.clicks = [];
+      this.focuses = [];
+      this.thrashing = false;
+    },
+
+    // Visible text only - getCaption would fall back to input values
+    describe(node) {
+      return {
+        selector: EventParser.getSelector(node),
+        text: node?.textContent?.trim()?.substring(0, 50) || node?.getAttribute?.('aria-label') || null,
+        tagName: node?.tagName?.toLowerCase(),
+      };
+    },
+
+    /**
+     * Stamped at the click or focus that caused the signal, like the SDK
+     */
+    emit(tag, timestamp, payload) {
+      if (!State.isRecording || !Recording.emit) {
+        return;
+      }
+      log('Frustration signal:', tag, payload.selector);
+      Recording.emit({ type: EventParser.TYPES.CUSTOM, data: { tag, payload }, timestamp });
+    },
+  };
+
+  // ============================================================================
+  // Field Analytics Module (per-field behaviour, summarised at session end)
+  // ============================================================================
+
+  const FieldAnalytics = {
+    FIELD_TAGS: ['input', 'textarea', 'select'],
+    NON_FIELD_TYPES: ['button', 'submit', 'reset', 'image', 'hidden'],
+    MASK_TEXT: '••••••••',
+    fields: new Map(),
+    startedAt: 0,
+
+    start() {
+      this.fields = new Map();
+      this.startedAt = Date.now();
+    },
+
+    /**
+     * Fed with EventParser output (input, focus and blur events)
+     */
+    track(simplified, event) {
+      const selector = simplified.data?.selector;
+      if (!selector) {
+        return;
+      }
+
+      if (simplified.type === 'input') {
+        this.input(selector, simplified, EventParser.getNode(event.data.id));
+      } else if (simplified.type === 'focus' || simplified.type === 'blur') {
+        const node = EventParser.getNode(event.data.id);
+        if (!this.isField(node)) {
+          return;
+        }
+        if (simplified.type === 'focus') {
+          this.focus(selector, node, simplified.timestamp);
+        } else {
+          this.blur(selector, simplified.timestamp);
+        }
+      }
+    },
+
+    isField(node) {
+      const tag = node?.tagName?.toLowerCase();
+      return this.FIELD_TAGS.includes(tag) && !this.NON_FIELD_TYPES.includes(node.type);
+    },
+
+    get(selector, node) {
+      let field = this.fields.get(selector);
+      if (!field) {
+        field = {
+          selector,
+          label: EventParser.getLabel(node),
+          fieldType: node?.type || 'text',
+          firstFocusAt: null,
+          firstInputAt: null,
+          focusedAt: null,
+          dwell: 0,
+          focusCount: 0,
+          edits: 0,
+          refills: 0,
+          corrections: 0,
+          masked: false,
+          value: '',
+          length: 0,
+          filledBefore: false,   // Had a value when this focus session started
+          editedThisFocus: false,
+        };
+        this.fields.set(selector, field);
+      }
+      return field;
+    },
+
+    focus(selector, node, timestamp) {
+      const field = this.get(selector, node);
+      if (field.focusedAt !== null) {
+        return;
+      }
+      field.focusedAt = timestamp;
+      field.firstFocusAt = field.firstFocusAt ?? timestamp;
+      field.focusCount++;
+      field.filledBefore = field.length > 0;
+      field.editedThisFocus = false;
+    },
+
+    blur(selector, timestamp) {
+      const field = this.fields.get(selector);
+      if (!field || field.focusedAt === null) {
+        return;
+      }
+      field.dwell += timestamp - field.focusedAt;
+      field.focusedAt = null;
+    },
+
+    input(selector, simplified, node) {
+      const field = this.get(selector, node);
+      const text = simplified.data.value ?? '';
+
+      // Inputs can arrive without a recorded focus (autofill, scripts)
+      if (field.firstInputAt === null) {
+        field.firstInputAt = simplified.timestamp;
+      }
+      field.edits++;
+      if (field.filledBefore && !field.editedThisFocus) {
+        field.refills++;
+      }
+      field.editedThisFocus = true;
+      if (this.hasValidationError(node)) {
+        field.corrections++;
+      }
+
+      // rrweb masks with '*' (maskInputOptions) or our mask text; the real
+      // length comes from the element, the value is never kept
+      field.masked = field.masked || text === this.MASK_TEXT || /^\*+$/.test(text) || node?.type === 'password';
+      field.length = typeof node?.value === 'string' ? node.value.length : text.length;
+      field.value = field.masked ? '' : text;
+    },
+
+    /**
+     * The field has a message from the Validation module, or is flagged
+     * invalid: aria-invalid, or AEM's invalid wrappers (core components
+     * and foundation forms)
+     */
+    hasValidationError(node) {
+      if (!node) {
+        return false;
+      }
+      if (Validation.fieldSelectors().has(EventParser.getSelector(node))) {
+        return true;
+      }
+      try {
+        if (node.getAttribute?.('aria-invalid') === 'true') {
+          return true;
+        }
+        return !!node.closest?.('[data-cmp-valid="false"], .validation-failure');
+      } catch {
+        return false;
+      }
+    },
+
+    summary(endedAt = Date.now()) {
+      return [...this.fields.values()].map(field => {
+        const dwell = field.dwell + (field.focusedAt !== null ? endedAt - field.focusedAt : 0);
+        return {
+          selector: field.selector,
+          label: field.label,
+          fieldType: field.fieldType,
+          timeToFirstInput: field.firstInputAt !== null && field.firstFocusAt !== null
+            ? Math.max(0, field.firstInputAt - field.firstFocusAt)
+            : null,
+          dwellTime: dwell,
+          focusCount: field.focusCount,
+          edits: field.edits,
+          refills: field.refills,
+          correctionsAfterError: field.corrections,
+          leftBlank: field.length === 0,
+          masked: field.masked,
+          length: field.length,
+          ...(!field.masked && { value: field.value }),
+        };
+      });
+    },
+
+    /**
+     * Emit the `field-summary` custom event; call before rrweb stops
+     */
+    emit() {
+      if (!this.fields.size || !rrweb.record?.addCustomEvent) {
+        return;
+      }
+      const fields = this.summary();
+      rrweb.record.addCustomEvent('field-summary', {
+        duration: Date.now() - this.startedAt,
+        fieldCount: fields.length,
+        fields,
+      });
+      log('Field summary emitted for', fields.length, 'fields');
+      this.fields = new Map();
+    },
+
+    // Carried across redirects by Navigation.save / restore
+    serialize() {
+      const now = Date.now();
+      return {
+        startedAt: this.startedAt,
+        fields: [...this.fields.values()].map(field => field.focusedAt === null
+          ? field
+          : { ...field, dwell: field.dwell + now - field.focusedAt, focusedAt: null }),
+      };
+    },
+
+    restore(saved) {
+      if (!saved?.fields) {
+        return;
+      }
+      this.startedAt = saved.startedAt || this.startedAt;
+      saved.fields.forEach(field => this.fields.set(field.selector, field));
+    },
+  };
+
+  // ============================================================================
+  // Abandonment Module (form-abandon when the recording ends before success)
+  // ============================================================================
+
+  const Abandonment = {
+    CHECK_DELAY: 150,
+    // Invalid-state markup of plain HTML and AEM core/foundation forms
+    ERROR_SELECTORS: ['[aria-invalid="true"]', '[data-cmp-valid="false"]', '.validation-failure'],
+    lastInteraction: null,
+    lastField: null,
+    lastStep: null,
+    succeeded: false,
+    reported: false,
+    timer: null,
+
+    start(saved = null) {
+      this.stop();
+      this.reported = false;
+      this.lastInteraction = saved?.lastInteraction ?? null;
+      this.lastField = saved?.lastField ?? null;
+      this.lastStep = saved?.lastStep ?? null;
+      this.succeeded = !!saved?.succeeded;
+    },
+
+    stop() {
+      clearTimeout(this.timer);
+      this.timer = null;
+    },
+
+    /**
+     * Fed with every rrweb event and its EventParser output (if any)
+     */
+    track(event, simplified) {
+      if (simplified && ['input', 'click', 'focus'].includes(simplified.type)) {
+        this.lastInteraction = simplified.timestamp;
+        if (simplified.type !== 'click' && simplified.data?.selector) {
+          this.lastField = simplified.data.selector;
+        }
+      }
+
+      // DOM changed - success or a new step may have appeared
+      if (event.type === EventParser.TYPES.INCREMENTAL_SNAPSHOT && event.data?.source === EventParser.SOURCES.MUTATION && !this.timer) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.check();
+        }, this.CHECK_DELAY);
+      }
+    },
+
+    check() {
+      const journey = State.config.journey || {};
+      const successSelector = journey.successSelector || journey.success_selector;
+      if (successSelector && this.isShown(successSelector)) {
+        this.succeeded = true;
+      }
+
+      (journey.steps || []).forEach((step, index) => {
+        const selector = typeof step === 'object' ? step?.selector : step;
+        if (!selector || (this.lastStep && this.lastStep.index >= index) || !this.isShown(selector)) {
+          return;
+        }
+        this.lastStep = { index, name: (typeof step === 'object' && step?.name) || `Step ${index + 1}`, selector };
+      });
+    },
+
+    isShown(selector) {
+      try {
+        return Array.from(document.querySelectorAll(selector))
+          .some(node => EventParser.checkVisibility(node).isVisible);
+      } catch {
+        return false;
+      }
+    },
+
+    validationErrorShowing() {
+      return Validation.showing() || this.ERROR_SELECTORS.some(selector => this.isShown(selector));
+    },
+
+    /**
+     * Emit `form-abandon` unless success has shown. Called when the trainer
+     * stops the recording, not on each redirect, so the pages of a
+     * multi-page journey don't each count as abandoned.
+     */
+    report() {
+      const journey = State.config.journey || {};
+      if (this.reported || !(journey.successSelector || journey.success_selector) || !rrweb.record?.addCustomEvent) {
+        return;
+      }
+
+      this.check();
+      if (this.succeeded) {
+        return;
+      }
+
+      this.reported = true;
+      const payload = {
+        lastStep: this.lastStep,
+        lastField: this.lastField,
+        timeSinceLastInteraction: this.lastInteraction ? Date.now() - this.lastInteraction : null,
+        validationErrorShowing: this.validationErrorShowing(),
+        interacted: !!this.lastInteraction,
+        path: location.pathname,
+      };
+      log('Form abandoned:', payload);
+      rrweb.record.addCustomEvent('form-abandon', payload);
+    },
+
+    serialize() {
+      return {
+        lastInteraction: this.lastInteraction,
+        lastField: this.lastField,
+        lastStep: this.lastStep,
+        succeeded: this.succeeded,
+      };
+    },
+  };
+
+  // ============================================================================
+  // Validation Module (validation messages linked to their field)
+  // ============================================================================
+
+  const Validation = {
+    CHECK_DELAY: 150,
+    MAX_MESSAGE_LENGTH: 300,
+    // Adaptive Form error message elements (foundation and core components)
+    DEFAULT_SELECTOR: '.guideFieldError, [class*="__errormessage"]',
+    FIELD_SELECTOR: 'input:not([type="hidden"]):not([type="button"]):not([type="submit"]), select, textarea',
+    observer: null,
+    timer: null,
+    shown: new Map(),        // container element -> last reported text
+
+    /**
+     * Adaptive Form containers, plus errorContainerSelector from the trainer
+     * options, the service worker's errorTracking config or an exported config
+     */
+    selectors() {
+      const config = State.config || {};
+      const configured = config.options?.errorContainerSelector
+        || config.errorTracking?.errorContainerSelector
+        || config.errors?.error_container_selector;
+      return [this.DEFAULT_SELECTOR, configured].filter(Boolean);
+    },
+
+    start() {
+      this.shown = new Map();
+      if (!document.body) {
+        return;
+      }
+
+      this.observer = new MutationObserver(() => {
+        if (this.timer) {
+          return;
+        }
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.check();
+        }, this.CHECK_DELAY);
+      });
+      this.observer.observe(document.body, {
+        childList: true,
+        subtree: true,
+        characterData: true,
+        attributes: true,
+        attributeFilter: ['class', 'style', 'hidden', 'aria-hidden'],
+      });
+      this.check();
+    },
+
+    stop() {
+      this.observer?.disconnect();
+      this.observer = null;
+      clearTimeout(this.timer);
+      this.timer = null;
+    },
+
+    check() {
+      if (!State.isRecording) {
+        return;
+      }
+
+      const containers = new Set();
+      this.selectors().forEach(selector => {
+        try {
+          document.querySelectorAll(selector).forEach(el => containers.add(el));
+        } catch {
+          log('Invalid error container selector:', selector);
+        }
+      });
+
+      const current = new Set();
+      containers.forEach(el => {
+        const text = el.textContent?.trim() || '';
+        if (!text || !EventParser.checkVisibility(el).isVisible) {
+          return;
+        }
+
+        current.add(el);
+        if (this.shown.get(el) === text) {
+          return;
+        }
+        this.shown.set(el, text);
+        this.report(el, text);
+      });
+
+      // Cleared messages are reported again if they come back
+      for (const el of this.shown.keys()) {
+        if (!current.has(el)) {
+          this.shown.delete(el);
+        }
+      }
+    },
+
+    showing() {
+      return this.shown.size > 0;
+    },
+
+    /**
+     * Selectors of fields with a message on screen
+     */
+    fieldSelectors() {
+      return new Set([...this.shown.keys()].map(el => EventParser.getSelector(this.fieldFor(el))).filter(Boolean));
+    },
+
+    report(el, text) {
+      const field = this.fieldFor(el);
+      const payload = {
+        message: text.length > this.MAX_MESSAGE_LENGTH ? text.substring(0, this.MAX_MESSAGE_LENGTH) + '…' : text,
+        selector: field ? EventParser.getSelector(field) : null,
+        label: field ? EventParser.getLabel(field) : null,
+        container: EventParser.getSelector(el),
+      };
+      log('Validation error:', payload.selector, payload.message);
+      rrweb.record?.addCustomEvent?.('validation-error', payload);
+    },
+
+    /**
+     * The field a message belongs to: referenced by aria-describedby /
+     * aria-errormessage, else the first field in the closest wrapper
+     */
+    fieldFor(el) {
+      if (el.id) {
+        try {
+          const id = CSS.escape(el.id);
+          const referenced = document.querySelector(`[aria-describedby~="${id}"], [aria-errormessage="${id}"]`);
+          if (referenced) {
+            return referenced;
+          }
+        } catch {}
+      }
+
+      let parent = el.parentElement;
+      for (let depth = 0; parent && depth < 5; depth++, parent = parent.parentElement) {
+        const field = parent.querySelector?.(this.FIELD_SELECTOR);
+        if (field) {
+          return field;
+        }
+      }
+      return null;
+    },
+  };
+
   // ============================================================================
   // Network Interception Module (rrweb doesn't capture network - we need this)
   // ============================================================================
@@ -808,6 +1431,8 @@
         const data = {
           config: State.config,
           events: State.events,
+          fieldAnalytics: FieldAnalytics.serialize(),
+          abandonment: Abandonment.serialize(),
           savedAt: Date.now(),
           fromUrl: location.href,
           wasRecording: true
@@ -822,6 +1447,8 @@
           // Panel will keep its copy
           sessionStorage.setItem(Config.STORAGE_KEY, JSON.stringify({
             config: State.config,
+            fieldAnalytics: FieldAnalytics.serialize(),
+            abandonment: Abandonment.serialize(),
             savedAt: Date.now(),
             fromUrl: location.href,
             wasRecording: true,
@@ -896,7 +1523,11 @@
     }
     // Notify panel we're resuming
     send('RECORDING_RESUMED', { fromUrl: saved.fromUrl, eventCount: State.events.length });
-    setTimeout(() => Recording.start(saved.config), 100);
+    setTimeout(() => {
+      Recording.start(saved.config);
+      FieldAnalytics.restore(saved.fieldAnalytics);
+      Abandonment.start(saved.abandonment);
+    }, 100);
   }
 
   // Signal ready
@@ -5,11 +5,22 @@
  * <script src="https://cdn.jsdelivr.net/npm/rrweb@latest/dist/rrweb.min.js"></script>
  * <script src="recorder.js"></script>
  * <script>
+ *   // Several forms behind one clientlib: pass `configs: [...]` or
+ *   // `manifestUrl` instead; the most specific matching config is used.
+ *   // Pages loaded within sessionTimeout of the last activity continue the
+ *   // same session; payloads carry page_index so pages can be stitched.
  *   RecapSDK.init({
  *     configUrl: '/config/form-config.json',
  *     // OR inline config:
  *     // config: { ... },
  *     endpoint: 'https://your-api.com/recordings',
+ *     compression: 'gzip',  // optional, falls back to plain JSON
+ *     requireConsent: true, // then call RecapSDK.setConsent(true) from your CMP
+ *     // transport: 'fetch' | 'beacon' | 'websocket' | 'postMessage' | async (payload, { headers, body }) => {},
+ *     // getAuthToken: async () => token,
+ *     // beforeEmit: (event) => event | null,   beforeSend: (payload) => payload | null,
+ *     // identitySalt: 'per-site-secret', identityTraits: ['plan'], then RecapSDK.identify(userId, { plan })
+ *     // flightRecorder: true, // sampled-out sessions upload the last minute on error or RecapSDK.trigger()
  *     debug: false
  *   });
  * </script>
@@ -22,6 +33,9 @@
 
   const VERSION = '1.0.0';
   
+  // Browsers cap in-flight keepalive/beacon bodies at 64KB; leave headroom
+  const BEACON_LIMIT = 60 * 1024;
+  
   // ============================================================================
   // Configuration
   // ============================================================================
@@ -32,8 +46,40 @@
     endpoint: null,
     batchSize: 50,           // Events per batch
     flushInterval: 10000,    // Send every 10s
-    maxEvents: 5000,         // Max events before auto-flush
+    maxEvents: 5000,         // Buffered events cap while batches can't be sent, see EventBuffer
+    maxBufferBytes: 5 * 1024 * 1024, // Approximate buffered bytes cap (0 disables)
     sessionTimeout: 30 * 60 * 1000, // 30 min session timeout
+    maxRetries: 6,           // Delivery attempts before a queued batch is dropped
+    retryBaseDelay: 2000,    // First retry after 2s, doubling each attempt
+    retryMaxDelay: 5 * 60 * 1000, // Backoff ceiling
+    maxQueuedBatches: 50,    // Oldest batches are dropped beyond this
+    compression: null,       // 'gzip' | 'deflate' - uses CompressionStream when supported
+    requireConsent: false,   // Wait for setConsent(true) or a CMP signal before sending
+    consentMode: 'off',      // While pending: 'off' (don't record) | 'buffer' (memory only)
+    tcfPurposes: [1],        // IAB TCF purposes that must be consented
+    tcfVendorId: null,       // Optional IAB TCF vendor id that must be consented
+    transport: 'fetch',      // 'fetch' | 'beacon' | 'websocket' | 'postMessage' | async (payload, ctx) => {}
+    headers: null,           // Extra request headers: object or (payload) => object|Promise<object>
+    getAuthToken: null,      // async () => token, sent as Authorization: Bearer <token>
+    targetOrigin: null,      // Parent frame origin, required by the postMessage transport
+    beforeEmit: null,        // (event) => event | null - function or array, see Hooks
+    beforeSend: null,        // (payload) => payload | null - function or array, see Hooks
+    captureNetwork: false,   // Record fetch/XHR calls (scrubbed per config.network, auth headers always stripped)
+    maxBodyLength: 10000,    // Request/response bodies larger than this are not recorded
+    maxErrorLength: 1000,    // Console/error messages are truncated to this length
+    configRefreshInterval: 5 * 60 * 1000, // Re-fetch configUrl/manifestUrl (0 disables)
+    samplingOverrideParam: 'recap_sample', // ?recap_sample=1|0 or cookie forces QA sessions in/out (null disables)
+    identitySalt: '',        // Prepended to identify() ids before SHA-256
+    identityTraits: [],      // Trait names identify() may send; others are dropped
+    captureValidation: true, // Record validation messages, see ValidationCapture
+    captureFrustration: true, // Record rage clicks, dead clicks and focus thrash, see Frustration
+    capturePerformance: false, // Record LCP/CLS/INP, long tasks and submit timing, see PerformanceCapture
+    submitEndpoints: null,   // URL substrings for resource timing (default: Adaptive Form submit URLs)
+    flightRecorder: false,   // Sampled-out sessions buffer in memory and upload only on a trigger
+    flightBufferMs: 60000,   // Lead-up kept by the flight recorder
+    flightBufferEvents: 3000, // Event cap for the flight recorder buffer
+    flightTriggers: ['error', 'network', 'validation'], // What releases the buffer (RecapSDK.trigger() always does)
+    flightTriggerSelector: null, // Validation error container that releases the buffer, see ValidationCapture
     debug: false,
     onError: null,
     onReady: null,
@@ -50,10 +96,14 @@
     stopFn: null,
     events: [],
     sessionId: null,
+    pageIndex: 0,
+    pageId: Math.random().toString(36).slice(2, 10), // this page view; tabs of one session share batch_seq
     config: null,
     options: null,
     startTime: null,
-    lastActivity: null
+    lastActivity: null,
+    blocked: null,           // { rule, detail } when init decided not to record
+    manualStop: false,       // RecapSDK.stop() called - route changes don't restart
   };
 
   // ============================================================================
@@ -64,298 +114,3830 @@
   
   const generateId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
   
-  const shouldSample = (rate) => Math.random() < (rate || 1);
+  const byteLength = (str) => new Blob([str]).size;
+  
+  // Back-stamped events (vitals, frustration) are buffered out of order
+  const eventSpan = (events) => events.reduce((span, event) => {
+    if (typeof event.timestamp !== 'number') {
+      return span;
+    }
+    return {
+      first_event_ts: span.first_event_ts === null ? event.timestamp : Math.min(span.first_event_ts, event.timestamp),
+      last_event_ts: span.last_event_ts === null ? event.timestamp : Math.max(span.last_event_ts, event.timestamp),
+    };
+  }, { first_event_ts: null, last_event_ts: null });
 
   // ============================================================================
-  // Network
+  // Config Schema (validation and version migration)
   // ============================================================================
   
-  const Network = {
-    queue: [],
-    sending: false,
+  /**
+   * Validates configs exported by the extension (ConfigExport.build) and
+   * migrates older formats to CONFIG_VERSION. Unknown keys are tolerated so
+   * newer exports keep loading; known keys must have the right type.
+   */
+  const ConfigSchema = {
+    CONFIG_VERSION: '1.0.0',
     
-    async send(data) {
-      if (!state.options?.endpoint) {
-        log('No endpoint configured, skipping send');
-        return;
-      }
+    /**
+     * Upgraders keyed by the major version they upgrade from.
+     * '0' is the unversioned trainer format (camelCase State.config).
+     */
+    migrations: {
+      '0': (legacy) => ({
+        config_version: '1.0.0',
+        form: {
+          id: legacy.formId || legacy.form?.id || '',
+          name: legacy.formName || legacy.form?.name || '',
+          path_pattern: legacy.pathPattern || legacy.form?.path_pattern || null,
+          allowed_domains: legacy.form?.allowed_domains || [],
+          excluded_domains: legacy.form?.excluded_domains || [],
+        },
+        sampling_rate: legacy.samplingRate ?? legacy.sampling_rate ?? 1,
+        masking: {
+          selectors: legacy.masking?.selectors || [],
+          mask_all_inputs: !!(legacy.masking?.maskAllInputs ?? legacy.masking?.mask_all_inputs),
+        },
+        ignored: { selectors: legacy.ignored?.selectors || [] },
+        network: {
+          scrub_payload_keys: legacy.network?.scrubKeys || legacy.network?.scrub_payload_keys || [],
+          strip_headers: legacy.network?.stripHeaders || legacy.network?.strip_headers || [],
+        },
+        journey: {
+          steps: (legacy.journey?.steps || []).map(s => typeof s === 'object' ? s : { selector: s, name: null }),
+          success_selector: legacy.journey?.successSelector ?? legacy.journey?.success_selector ?? null,
+        },
+        errors: {
+          capture_console: !!(legacy.options?.captureConsole ?? legacy.errors?.capture_console),
+          error_container_selector: legacy.options?.errorContainerSelector || legacy.errors?.error_container_selector || null,
+        },
+        ...(legacy.rrweb_options && { rrweb_options: legacy.rrweb_options }),
+      }),
+    },
+    
+    major(version) {
+      return String(version ?? '0').split('.')[0];
+    },
+    
+    migrate(config) {
+      let current = config;
+      let guard = 0;
       
+      while (this.major(current.config_version) !== this.major(this.CONFIG_VERSION)) {
+        const from = this.major(current.config_version);
+        const upgrade = this.migrations[from];
+        if (!upgrade || guard++ > 10) {
+          throw this.error([`Unsupported config_version "${current.config_version}" (SDK supports ${this.CONFIG_VERSION})`]);
+        }
+        log('Migrating config from version', current.config_version ?? '(none)');
+        current = upgrade(current);
+      }
+      return current;
+    },
+    
+    isValidSelector(selector) {
+      if (typeof selector !== 'string' || !selector.trim()) {
+        return false;
+      }
       try {
-        const response = await fetch(state.options.endpoint, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(data),
-          keepalive: true
-        });
-        
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-        log('Sent', data.events?.length || 0, 'events');
+        document.createDocumentFragment().querySelector(selector);
         return true;
       } catch (e) {
-        log('Send failed:', e.message);
-        state.options?.onError?.(e);
-        return false;
+        // Trainer-generated id selectors (e.g. AEM ids starting with a digit)
+        // are not valid CSS but are matched by id; exported rrweb_options
+        // join them into comma-separated lists
+        const parts = this.splitSelectorList(selector);
+        if (parts.length > 1) {
+          return parts.every(part => this.isValidSelector(part));
+        }
+        return /^#[^\s,>+~]+$/.test(selector.trim());
       }
     },
     
-    flush() {
-      if (!state.events.length) return;
-      
-      const payload = {
-        session_id: state.sessionId,
-        form_id: state.config?.form?.id,
-        form_name: state.config?.form?.name,
-        timestamp: Date.now(),
-        duration: Date.now() - state.startTime,
-        events: state.events.splice(0, state.events.length),
-        metadata: {
-          url: location.href,
-          user_agent: navigator.userAgent,
-          sdk_version: VERSION
+    /**
+     * Split a selector list on top-level commas (not inside [], () or quotes)
+     */
+    splitSelectorList(selector) {
+      const parts = [];
+      let depth = 0;
+      let quote = null;
+      let start = 0;
+      for (let i = 0; i < selector.length; i++) {
+        const char = selector[i];
+        if (quote) {
+          if (char === '\\') {
+            i++;
+          } else if (char === quote) {
+            quote = null;
+          }
+        } else if (char === '"' || char === "'") {
+          quote = char;
+        } else if (char === '[' || char === '(') {
+          depth++;
+        } else if (char === ']' || char === ')') {
+          depth--;
+        } else if (char === ',' && depth === 0) {
+          parts.push(selector.slice(start, i));
+          start = i + 1;
+        }
+      }
+      parts.push(selector.slice(start));
+      return parts.map(part => part.trim());
+    },
+    
+    validate(config) {
+      const errors = [];
+      const isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+      const check = (ok, message) => !ok && errors.push(message);
+      const optional = (v, type) => v === undefined || v === null || typeof v === type;
+      const stringArray = (v, path) => {
+        if (v === undefined) {
+          return;
+        }
+        if (!Array.isArray(v) || v.some(item => typeof item !== 'string')) {
+          errors.push(`${path} must be an array of strings`);
+        }
+      };
+      const selectorArray = (v, path) => {
+        stringArray(v, path);
+        if (!Array.isArray(v)) {
+          return;
+        }
+        v.forEach((sel, i) => typeof sel === 'string' && check(this.isValidSelector(sel), `${path}[${i}] is not a valid selector: ${sel}`));
+      };
+      const selector = (v, path) => {
+        if (v === undefined || v === null) {
+          return;
         }
+        check(this.isValidSelector(v), `${path} is not a valid selector: ${v}`);
       };
       
-      // For test mode, send to extension instead
-      if (state.options?.testMode) {
-        window.postMessage({ 
-          source: 'recap-sdk', 
-          type: 'RECORDING_DATA', 
-          payload 
-        }, '*');
-        return;
+      if (!isObject(config)) {
+        return ['config must be an object'];
       }
       
-      this.send(payload);
-    }
+      check(typeof config.config_version === 'string', 'config_version must be a string');
+      check(optional(config.enabled, 'boolean'), 'enabled must be a boolean');
+      
+      if (config.form !== undefined) {
+        if (!isObject(config.form)) {
+          errors.push('form must be an object');
+        } else {
+          check(optional(config.form.id, 'string'), 'form.id must be a string');
+          check(optional(config.form.name, 'string'), 'form.name must be a string');
+          check(optional(config.form.path_pattern, 'string'), 'form.path_pattern must be a string');
+          stringArray(config.form.allowed_domains, 'form.allowed_domains');
+          stringArray(config.form.excluded_domains, 'form.excluded_domains');
+        }
+      }
+      
+      if (config.sampling_rate !== undefined) {
+        check(typeof config.sampling_rate === 'number' && config.sampling_rate >= 0 && config.sampling_rate <= 1,
+          'sampling_rate must be a number between 0 and 1');
+      }
+      
+      if (config.masking !== undefined) {
+        if (!isObject(config.masking)) {
+          errors.push('masking must be an object');
+        } else {
+          selectorArray(config.masking.selectors, 'masking.selectors');
+          check(optional(config.masking.mask_all_inputs, 'boolean'), 'masking.mask_all_inputs must be a boolean');
+        }
+      }
+      
+      if (config.ignored !== undefined) {
+        if (!isObject(config.ignored)) {
+          errors.push('ignored must be an object');
+        } else {
+          selectorArray(config.ignored.selectors, 'ignored.selectors');
+        }
+      }
+      
+      if (config.network !== undefined) {
+        if (!isObject(config.network)) {
+          errors.push('network must be an object');
+        } else {
+          stringArray(config.network.scrub_payload_keys, 'network.scrub_payload_keys');
+          stringArray(config.network.strip_headers, 'network.strip_headers');
+        }
+      }
+      
+      if (config.journey !== undefined) {
+        if (!isObject(config.journey)) {
+          errors.push('journey must be an object');
+        } else {
+          const steps = config.journey.steps;
+          if (steps !== undefined && !Array.isArray(steps)) {
+            errors.push('journey.steps must be an array');
+          } else {
+            (steps || []).forEach((step, i) => {
+              if (!isObject(step)) {
+                errors.push(`journey.steps[${i}] must be an object`);
+                return;
+              }
+              selector(step.selector ?? '', `journey.steps[${i}].selector`);
+              check(optional(step.name, 'string'), `journey.steps[${i}].name must be a string`);
+            });
+          }
+          selector(config.journey.success_selector, 'journey.success_selector');
+        }
+      }
+      
+      if (config.errors !== undefined) {
+        if (!isObject(config.errors)) {
+          errors.push('errors must be an object');
+        } else {
+          check(optional(config.errors.capture_console, 'boolean'), 'errors.capture_console must be a boolean');
+          selector(config.errors.error_container_selector, 'errors.error_container_selector');
+        }
+      }
+      
+      if (config.rrweb_options !== undefined && config.rrweb_options !== null) {
+        if (!isObject(config.rrweb_options)) {
+          errors.push('rrweb_options must be an object');
+        } else {
+          for (const key of ['ignoreSelector', 'maskTextSelector', 'blockSelector']) {
+            selector(config.rrweb_options[key], `rrweb_options.${key}`);
+          }
+        }
+      }
+      
+      return errors;
+    },
+    
+    error(errors) {
+      const error = new Error(`Invalid Recap config:\n- ${errors.join('\n- ')}`);
+      error.name = 'RecapConfigError';
+      error.errors = errors;
+      return error;
+    },
+    
+    /**
+     * Migrate then validate; throws a RecapConfigError listing every problem
+     */
+    load(config) {
+      if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw this.error(['config must be an object']);
+      }
+      
+      const migrated = this.migrate(config);
+      const errors = this.validate(migrated);
+      if (errors.length) {
+        throw this.error(errors);
+      }
+      return migrated;
+    },
   };
 
   // ============================================================================
-  // Recording
+  // Router (config loading and per-page config selection)
   // ============================================================================
   
-  const Recording = {
-    /**
-     * Helper to mask incremental input events
-     * CRITICAL: rrweb's maskInputFn only works for initial snapshot!
-     * This function masks input values for incremental events.
-     */
-    maskIncrementalInput(event, maskSelectors) {
-      // Only process incremental snapshots (type 3) with input source (source 5)
-      if (event.type !== 3 || event.data?.source !== 5 || !event.data?.text) {
-        return event;
-      }
+  /**
+   * Loads one config, a list (`config: [...]` / `configs`), or a manifest
+   * (`manifestUrl` → `[url | config, ...]` or `{ configs: [...] }`), then picks
+   * the most specific config matching the current page. Selection is re-run
+   * on SPA route changes (history API, popstate, hashchange).
+   */
+  const Router = {
+    configs: [],
+    cache: new Map(),        // url → { etag, data } for conditional refresh
+    urls: new Set(),         // Every config/manifest URL requested, never network-captured
+    listening: false,
+    timer: null,
+    refreshTimer: null,
+    refreshing: false,
+    lastRefresh: 0,
+    
+    async fetchJson(url) {
+      this.urls.add(url);
+      const cached = this.cache.get(url);
+      const headers = cached?.etag ? { 'If-None-Match': cached.etag } : {};
+      const response = await fetch(url, { headers, cache: 'no-cache' });
       
-      const nodeId = event.data?.id;
-      if (!nodeId) return event;
+      if (response.status === 304 && cached) {
+        return cached.data;
+      }
+      if (!response.ok) {
+        throw new Error(`Config request failed: HTTP ${response.status} (${url})`);
+      }
       
-      // Get the node from rrweb's mirror
-      let node = null;
+      let data;
       try {
-        node = rrweb.record?.mirror?.getNode(nodeId);
+        data = await response.json();
       } catch (e) {
-        return event;
+        throw new Error(`Config is not valid JSON (${url})`);
+      }
+      this.cache.set(url, { etag: response.headers?.get?.('ETag') || null, data });
+      return data;
+    },
+    
+    async load(options) {
+      let sources;
+      
+      if (options.manifestUrl) {
+        const manifestUrl = new URL(options.manifestUrl, location.href).href;
+        const manifest = await this.fetchJson(manifestUrl);
+        const entries = Array.isArray(manifest) ? manifest : manifest?.configs;
+        if (!Array.isArray(entries)) {
+          throw new Error(`Manifest has no configs array (${manifestUrl})`);
+        }
+        
+        sources = await Promise.all(entries.map(entry => typeof entry === 'string'
+          ? this.fetchJson(new URL(entry, manifestUrl).href).catch(e => e)
+          : entry));
+        log('Manifest loaded from:', manifestUrl, '-', sources.length, 'configs');
+      } else if (options.configUrl) {
+        sources = [await this.fetchJson(options.configUrl)];
+        log('Config loaded from:', options.configUrl);
+      } else if (options.configs || options.config) {
+        sources = [].concat(options.configs || options.config);
+        log('Using inline config', sources.length > 1 ? `(${sources.length} forms)` : '');
+      } else {
+        log('No config provided, using defaults');
+        this.configs = [{}];
+        return;
       }
       
-      if (!node) return event;
+      // A single config must be valid; in a list, bad entries are reported and skipped
+      if (sources.length === 1) {
+        if (sources[0] instanceof Error) {
+          throw sources[0];
+        }
+        this.configs = [ConfigSchema.load(sources[0])];
+        return;
+      }
       
-      // Check if this node matches any mask selector
-      for (const sel of maskSelectors) {
+      // Only replace the current list once it is known to be usable
+      const configs = sources.flatMap((source, index) => {
         try {
-          let matched = false;
-          
-          if (sel.startsWith('#')) {
-            const idPart = sel.slice(1);
-            if (node.id === idPart || (node.id && node.id.includes(idPart))) {
-              matched = true;
-            }
-          } else if (sel.startsWith('[name=') && node.name) {
-            const nameMatch = sel.match(/\[name="?([^"\]]+)"?\]/);
-            if (nameMatch && (node.name === nameMatch[1] || node.name.includes(nameMatch[1]))) {
-              matched = true;
-            }
-          } else if (sel.startsWith('.') && node.classList?.contains(sel.slice(1))) {
-            matched = true;
-          } else if (node.matches?.(sel)) {
-            matched = true;
-          }
-          
-          if (matched) {
-            log('Masking incremental input for:', node.id || node.name || nodeId);
-            return {
-              ...event,
-              data: {
-                ...event.data,
-                text: '••••••••'
-              }
-            };
+          if (source instanceof Error) {
+            throw source;
           }
+          return [ConfigSchema.load(source)];
         } catch (e) {
-          // Invalid selector, continue
+          e.message = `Config #${index} skipped: ${e.message}`;
+          log(e.message);
+          state.options?.onError?.(e);
+          return [];
+        }
+      });
+      if (!configs.length) {
+        throw new Error('No valid configs to route between');
+      }
+      this.configs = configs;
+    },
+    
+    /**
+     * Domain or path rule that rules this config out for the current page
+     */
+    targetingBlock(config) {
+      // Remote kill switch
+      if (config?.enabled === false) {
+        return { rule: 'enabled', detail: false };
+      }
+      
+      const form = config?.form;
+      const domainBlock = RecapSDK.checkDomains(form);
+      if (domainBlock) {
+        return domainBlock;
+      }
+      
+      const pathPattern = form?.path_pattern;
+      if (pathPattern && !RecapSDK.matchesPath(pathPattern)) {
+        return { rule: 'path_pattern', detail: pathPattern };
+      }
+      return null;
+    },
+    
+    /**
+     * Higher is more specific: literal path characters dominate, then an
+     * exact (non-parameter) pattern, then an exact or wildcard domain match
+     */
+    specificity(config) {
+      const form = config?.form || {};
+      const pattern = form.path_pattern || '';
+      let score = pattern.replace(/:\w+/g, '').length * 10;
+      if (pattern && !/:\w+/.test(pattern)) {
+        score += 5;
+      }
+      
+      const domain = (form.allowed_domains || []).find(p => RecapSDK.matchesDomain(p));
+      if (domain) {
+        score += domain.includes('*') ? 1 : 2;
+      }
+      return score;
+    },
+    
+    formKey(config) {
+      return config?.form?.id || config?.form?.path_pattern || '';
+    },
+    
+    sameForm(a, b) {
+      return !!a && !!b && (a === b || this.formKey(a) === this.formKey(b));
+    },
+    
+    /**
+     * @returns {{config: Object|null, blocked: Object|null, flight: boolean}}
+     */
+    evaluate() {
+      let firstBlock = null;
+      const candidates = this.configs.filter(config => {
+        const block = this.targetingBlock(config);
+        firstBlock = firstBlock || block;
+        return !block;
+      });
+      
+      if (!candidates.length) {
+        if (this.configs.length === 1) {
+          return { config: this.configs[0], blocked: firstBlock };
+        }
+        return {
+          config: null,
+          blocked: { rule: 'no_matching_config', detail: `none of ${this.configs.length} configs match ${location.host}${location.pathname}` },
+        };
+      }
+      
+      // Stable sort - on a tie the first listed config wins
+      const config = candidates.sort((a, b) => this.specificity(b) - this.specificity(a))[0];
+      if (!Sampling.decide(config)) {
+        // A rate of 0 is the kill switch, not a sampling decision
+        if (state.options?.flightRecorder && (config.sampling_rate ?? 1) > 0) {
+          return { config, blocked: null, flight: true };
+        }
+        return { config, blocked: { rule: 'sampling_rate', detail: config.sampling_rate } };
+      }
+      return { config, blocked: null };
+    },
+    
+    /**
+     * Apply selection to state
+     * @returns {Object|null} The blocking rule, if this page should not record
+     */
+    select() {
+      const { config, blocked, flight } = this.evaluate();
+      state.config = config;
+      state.blocked = blocked;
+      FlightRecorder.arm(flight);
+      if (blocked) {
+        log('Not recording -', blocked.rule + ':', blocked.detail);
+      } else if (flight) {
+        log('Sampled out - flight recorder armed');
+      } else if (this.configs.length > 1) {
+        log('Selected config:', config?.form?.id || config?.form?.name);
+      }
+      return blocked;
+    },
+    
+    listen() {
+      if (this.listening) {
+        return;
+      }
+      this.listening = true;
+      
+      const schedule = () => {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.reroute(), 0);
+      };
+      
+      for (const method of ['pushState', 'replaceState']) {
+        const original = history[method];
+        history[method] = function() {
+          const result = original.apply(this, arguments);
+          schedule();
+          return result;
+        };
+      }
+      window.addEventListener('popstate', schedule);
+      window.addEventListener('hashchange', schedule);
+    },
+    
+    /**
+     * Route changed: keep recording if the same config still applies,
+     * otherwise close out the current recording and switch configs
+     */
+    reroute() {
+      const { config, blocked, flight } = this.evaluate();
+      
+      if (state.recording) {
+        // Same form keeps its mode - a triggered flight recorder keeps uploading
+        if (!blocked && this.sameForm(config, state.config)) {
+          if (config !== state.config) {
+            this.hotApply(config);
+          }
+          return;
+        }
+        
+        // Kill switch: stop at once and drop anything not yet sent
+        const killed = blocked?.rule === 'enabled' || (blocked?.rule === 'sampling_rate' && !blocked.detail);
+        log(killed ? 'Recording disabled remotely' : 'Route changed, stopping recording for', state.config?.form?.id || 'current config');
+        Recording.stop({ discard: killed });
+      }
+      
+      state.config = config;
+      state.blocked = blocked;
+      FlightRecorder.arm(flight);
+      if (blocked || state.manualStop) {
+        return;
+      }
+      
+      if (!state.initialized) {
+        state.initialized = true;
+        state.options?.onReady?.();
+      }
+      if (Consent.canRecord()) {
+        Recording.start();
+      }
+    },
+    
+    /**
+     * Switch the running recording to a refreshed copy of its config.
+     * rrweb options are fixed at record() time, so capture rules only take
+     * effect after a restart; a masking change also drops unsent events,
+     * which were captured under the old (leaky) rules.
+     */
+    hotApply(config) {
+      const previous = state.config;
+      state.config = config;
+      
+      const changed = (key) => JSON.stringify(previous?.[key]) !== JSON.stringify(config[key]);
+      const maskingChanged = changed('masking') || changed('rrweb_options');
+      if (!maskingChanged && !['ignored', 'network', 'errors', 'journey'].some(changed)) {
+        return;
+      }
+      
+      log('Config changed - restarting capture', maskingChanged ? '(masking updated)' : '');
+      Recording.stop({ discard: maskingChanged });
+      Recording.start();
+    },
+    
+    /**
+     * Periodic and on-visible refresh of configUrl / manifestUrl
+     */
+    startRefresh() {
+      const { configUrl, manifestUrl, configRefreshInterval } = state.options;
+      if ((!configUrl && !manifestUrl) || !configRefreshInterval || this.refreshTimer) {
+        return;
+      }
+      
+      this.lastRefresh = Date.now();
+      this.refreshTimer = setInterval(() => this.refresh(), configRefreshInterval);
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible' && Date.now() - this.lastRefresh > 30000) {
+          this.refresh();
         }
+      });
+    },
+    
+    async refresh() {
+      if (this.refreshing) {
+        return;
       }
+      this.refreshing = true;
+      this.lastRefresh = Date.now();
+      
+      try {
+        const before = JSON.stringify(this.configs);
+        await this.load(state.options);
+        if (JSON.stringify(this.configs) === before) {
+          return;
+        }
+        
+        log('Config refreshed');
+        this.reroute();
+      } catch (e) {
+        // Keep running with the last good config
+        log('Config refresh failed:', e.message);
+        state.options?.onError?.(e);
+      } finally {
+        this.refreshing = false;
+      }
+    },
+  };
+
+  // ============================================================================
+  // Sampling (deterministic, sticky per session)
+  // ============================================================================
+  
+  /**
+   * Sampling is decided by hashing the session id, so every page of a
+   * session gets the same answer, and the decision is stored with the
+   * session so a later rate change doesn't cut a session in half. A rate
+   * of 0 always wins (kill switch). For QA, `?recap_sample=1|0` (remembered
+   * for the session) or a `recap_sample=1|0` cookie forces the decision.
+   */
+  const Sampling = {
+    /**
+     * FNV-1a 32-bit hash mapped to [0, 1)
+     */
+    bucket(str) {
+      let hash = 0x811c9dc5;
+      for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      return (hash >>> 0) / 0x100000000;
+    },
+    
+    override() {
+      const name = state.options?.samplingOverrideParam;
+      if (!name) {
+        return null;
+      }
+      
+      const fromQuery = new URLSearchParams(location.search).get(name);
+      if (fromQuery === '1' || fromQuery === '0') {
+        return { sampled: fromQuery === '1', source: 'query' };
+      }
+      
+      const cookie = document.cookie.split(';').map(c => c.trim()).find(c => c.startsWith(`${name}=`));
+      const fromCookie = cookie?.slice(name.length + 1);
+      if (fromCookie === '1' || fromCookie === '0') {
+        return { sampled: fromCookie === '1', source: 'cookie' };
+      }
+      return null;
+    },
+    
+    /**
+     * @returns {boolean} Whether this session records the given config
+     */
+    decide(config) {
+      const rate = config?.sampling_rate ?? 1;
+      if (rate <= 0) {
+        return false;
+      }
+      
+      const override = this.override();
+      if (override) {
+        log('Sampling forced by', override.source + ':', override.sampled);
+        if (override.source === 'query') {
+          this.remember(config, override.sampled, true);
+        }
+        return override.sampled;
+      }
+      
+      const session = Session.resume();
+      const key = Router.formKey(config);
+      const stored = session.sampling?.[key];
+      if (stored) {
+        return stored.sampled;
+      }
+      
+      const sampled = rate >= 1 || this.bucket(session.id) < rate;
+      this.remember(config, sampled);
+      log('Sampling decision:', sampled, '(rate:', rate, ')');
+      return sampled;
+    },
+    
+    remember(config, sampled, forced = false) {
+      const session = Session.resume();
+      session.sampling = {
+        ...session.sampling,
+        [Router.formKey(config)]: { sampled, rate: config?.sampling_rate ?? 1, ...(forced && { forced }) },
+      };
+      Session.write();
+    },
+  };
+
+  // ============================================================================
+  // Hooks (middleware)
+  // ============================================================================
+  
+  /**
+   * Ordered middleware chains:
+   * - beforeEmit(event): runs on every rrweb event after input masking
+   * - beforeSend(payload): runs on every batch before it is sent
+   * Each hook receives the previous hook's result and may:
+   *   return a new value   → replaces it for the rest of the chain
+   *   return undefined     → keeps the (possibly mutated) value
+   *   return null or false → drops the event / vetoes the batch
+   * A hook that throws is skipped and reported through onError.
+   * Dropping Meta (4) or FullSnapshot (2) events makes a session unreplayable.
+   */
+  const Hooks = {
+    NAMES: ['beforeEmit', 'beforeSend'],
+    chains: { beforeEmit: [], beforeSend: [] },
+    
+    setup(options) {
+      for (const name of this.NAMES) {
+        const hooks = options[name];
+        this.chains[name] = [].concat(hooks || []).filter(fn => typeof fn === 'function');
+      }
+    },
+    
+    add(name, fn) {
+      if (!this.NAMES.includes(name)) {
+        throw new Error(`Unknown hook: ${name}`);
+      }
+      if (typeof fn !== 'function') {
+        throw new Error(`${name} hook must be a function`);
+      }
+      this.chains[name].push(fn);
+      return () => {
+        this.chains[name] = this.chains[name].filter(h => h !== fn);
+      };
+    },
+    
+    run(name, value) {
+      for (const fn of this.chains[name]) {
+        try {
+          const result = fn(value);
+          if (result === null || result === false) {
+            return null;
+          }
+          if (result !== undefined) {
+            value = result;
+          }
+        } catch (e) {
+          log(`${name} hook failed:`, e);
+          state.options?.onError?.(e);
+        }
+      }
+      return value;
+    },
+  };
+
+  // ============================================================================
+  // Consent
+  // ============================================================================
+  
+  /**
+   * Gates recording on user consent.
+   * - Explicit RecapSDK.setConsent() always wins over detected signals
+   * - Global Privacy Control (navigator.globalPrivacyControl) denies
+   * - IAB TCF v2 (__tcfapi) grants/denies once the CMP has loaded
+   * Without `requireConsent`, consent is granted unless a signal denies it.
+   * Queued batches are only retried with consent, and denial empties the queue.
+   */
+  const Consent = {
+    status: 'pending',       // 'pending' | 'granted' | 'denied'
+    explicit: false,
+    
+    setup() {
+      if (state.options.testMode) {
+        this.status = 'granted';
+        return;
+      }
+      
+      if (!this.explicit) {
+        if (navigator.globalPrivacyControl === true) {
+          this.status = 'denied';
+          log('Global Privacy Control detected - consent denied');
+        } else if (!state.options.requireConsent) {
+          this.status = 'granted';
+        }
+      }
+      
+      if (this.status === 'denied') {
+        Outbox.clear();
+      }
+      this.listenTcf();
+    },
+    
+    listenTcf() {
+      if (typeof window.__tcfapi !== 'function') {
+        return;
+      }
+      
+      try {
+        window.__tcfapi('addEventListener', 2, (tcData, success) => {
+          if (!success || this.explicit || navigator.globalPrivacyControl === true) {
+            return;
+          }
+          if (tcData.eventStatus !== 'tcloaded' && tcData.eventStatus !== 'useractioncomplete') {
+            return;
+          }
+          
+          if (tcData.gdprApplies === false) {
+            this.update(true, 'tcf');
+            return;
+          }
+          
+          const { tcfPurposes, tcfVendorId } = state.options;
+          const purposesOk = tcfPurposes.every(id => tcData.purpose?.consents?.[id]);
+          const vendorOk = !tcfVendorId || !!tcData.vendor?.consents?.[tcfVendorId];
+          this.update(purposesOk && vendorOk, 'tcf');
+        });
+      } catch (e) {
+        log('TCF listener failed:', e.message);
+      }
+    },
+    
+    isGranted() {
+      return this.status === 'granted';
+    },
+    
+    /**
+     * Recording may run: granted, or pending with in-memory buffering
+     */
+    canRecord() {
+      return this.isGranted() || (this.status === 'pending' && state.options?.consentMode === 'buffer');
+    },
+    
+    update(granted, source) {
+      const previous = this.status;
+      this.status = granted ? 'granted' : 'denied';
+      if (previous === this.status) {
+        return;
+      }
+      log('Consent', this.status, 'via', source);
+      
+      if (!state.initialized || state.options.testMode) {
+        return;
+      }
+      
+      if (granted) {
+        Network.retryQueue();
+        if (state.recording) {
+          // Buffered while pending - persist and send what we have
+          Session.write();
+          Network.flush();
+        } else {
+          Recording.start();
+        }
+      } else {
+        Recording.stop({ discard: true });
+        Session.clear();
+        Outbox.clear();
+      }
+    },
+  };
+
+  // ============================================================================
+  // Session (continuity across page loads)
+  // ============================================================================
+  
+  /**
+   * Keeps the session id and page sequence in localStorage so a multi-page
+   * journey stays one session. The session resumes while the next page loads
+   * within `sessionTimeout` of the last activity, and rotates otherwise.
+   */
+  const Session = {
+    STORAGE_KEY: 'recap_sdk_session',
+    PERSIST_INTERVAL: 5000,
+    current: null,
+    lastPersisted: 0,
+    
+    read() {
+      try {
+        return JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+      } catch (e) {
+        return null;
+      }
+    },
+    
+    write() {
+      // Nothing touches storage until consent is granted
+      if (!this.current || !Consent.isGranted()) {
+        return;
+      }
+      this.lastPersisted = Date.now();
+      try {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.current));
+      } catch (e) {
+        log('Session persist failed:', e.message);
+      }
+    },
+    
+    isActive(session, now = Date.now()) {
+      return !!session?.id && now - session.lastActivity < state.options.sessionTimeout;
+    },
+    
+    /**
+     * Resume the stored session or start a new one
+     * Called once per page; repeated calls on the same page reuse it.
+     * @param {boolean} forceNew - Always rotate (used by test mode)
+     */
+    resume(forceNew = false) {
+      const now = Date.now();
+      
+      if (!forceNew && this.isActive(this.current, now)) {
+        this.current.lastActivity = now;
+      } else {
+        const saved = forceNew ? null : this.read();
+        if (this.isActive(saved, now)) {
+          this.current = { ...saved, pageIndex: saved.pageIndex + 1, lastActivity: now };
+          log('Resuming session:', saved.id, 'page', this.current.pageIndex);
+        } else {
+          this.current = { id: generateId(), startedAt: now, pageIndex: 0, batchSeq: 0, lastActivity: now };
+          log('New session:', this.current.id);
+        }
+      }
+      
+      this.write();
+      return this.current;
+    },
+    
+    /**
+     * Start a new session on the current page after inactivity
+     * @param {boolean} keepIdentity - The same user is still signed in
+     */
+    rotate(keepIdentity = true) {
+      const now = Date.now();
+      const identity = keepIdentity ? this.current?.identity : null;
+      this.current = { id: generateId(), startedAt: now, pageIndex: 0, batchSeq: 0, lastActivity: now };
+      if (identity) {
+        this.current.identity = identity;
+      }
+      this.write();
+      return this.current;
+    },
+    
+    /**
+     * Next batch sequence number, monotonic across the pages of the session.
+     * Tabs open on the same session count from the same stored value, so
+     * the sequence alone is not unique - idempotency keys add state.pageId.
+     */
+    nextBatchSeq() {
+      if (!this.current) {
+        return 0;
+      }
+      this.current.batchSeq = (this.current.batchSeq || 0) + 1;
+      this.write();
+      return this.current.batchSeq;
+    },
+    
+    clear() {
+      this.current = null;
+      try {
+        localStorage.removeItem(this.STORAGE_KEY);
+      } catch (e) {
+        // Storage unavailable
+      }
+    },
+    
+    /**
+     * Remember journey progress so later pages of the session report it
+     */
+    recordJourney(progress) {
+      if (!this.current) {
+        return;
+      }
+      this.current.journey = { ...this.current.journey, ...progress };
+      this.write();
+    },
+    
+    touch(now = Date.now()) {
+      if (!this.current) {
+        return;
+      }
+      this.current.lastActivity = now;
+      if (now - this.lastPersisted >= this.PERSIST_INTERVAL) {
+        this.write();
+      }
+    },
+  };
+
+  // ============================================================================
+  // Identity (hashed user id and allowlisted traits)
+  // ============================================================================
+  
+  /**
+   * RecapSDK.identify() links recordings to a user without sending the raw
+   * id: only SHA-256(identitySalt + id) leaves the page. Traits not listed in
+   * `identityTraits` are dropped. The identity lives on the session, so it is
+   * attached to every later batch, including those from later pages.
+   */
+  const Identity = {
+    MAX_TRAIT_LENGTH: 200,
+    
+    async hash(id) {
+      if (!global.crypto?.subtle) {
+        throw new Error('identify() needs WebCrypto (HTTPS)');
+      }
+      const data = new TextEncoder().encode(`${state.options.identitySalt || ''}${id}`);
+      const digest = await crypto.subtle.digest('SHA-256', data);
+      return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    },
+    
+    /**
+     * Keep allowlisted traits with primitive values
+     */
+    traits(traits) {
+      const allowed = new Set(state.options.identityTraits || []);
+      const result = {};
+      for (const [key, value] of Object.entries(traits || {})) {
+        if (!allowed.has(key)) {
+          log('Dropping trait not in identityTraits:', key);
+          continue;
+        }
+        if (typeof value === 'string') {
+          result[key] = Scrubber.scrubText(value).slice(0, this.MAX_TRAIT_LENGTH);
+        } else if (typeof value === 'number' || typeof value === 'boolean') {
+          result[key] = value;
+        }
+      }
+      return result;
+    },
+    
+    /**
+     * @returns {Promise<string>} The user hash sent with batches
+     */
+    async identify(id, traits) {
+      if (!state.options) {
+        throw new Error('identify() called before init()');
+      }
+      if (id === null || id === undefined || id === '') {
+        throw new Error('identify() needs an id');
+      }
+      
+      const userHash = await this.hash(String(id));
+      const session = Session.current || Session.resume();
+      session.identity = { user_hash: userHash, traits: this.traits(traits) };
+      Session.write();
+      log('Identified user:', userHash.slice(0, 12) + '…');
+      return userHash;
+    },
+    
+    metadata() {
+      return Session.current?.identity || null;
+    },
+  };
+
+  // ============================================================================
+  // Session Context (device, locale, acquisition and AEM form details)
+  // ============================================================================
+  
+  /**
+   * Captured when a session starts recording and sent once per session, as
+   * `metadata.context` on its first batch. The session remembers that it was
+   * sent, so later pages and batches don't repeat it.
+   */
+  const SessionContext = {
+    UTM_PARAMS: ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'],
+    current: null,
+    
+    capture() {
+      const params = new URLSearchParams(location.search || '');
+      const utm = {};
+      this.UTM_PARAMS.forEach(name => {
+        if (params.get(name)) {
+          utm[name.slice(4)] = params.get(name);
+        }
+      });
+      
+      const connection = navigator.connection;
+      let timezone = null;
+      try {
+        timezone = Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+      } catch (e) {}
+      
+      this.current = {
+        captured_at: Date.now(),
+        device_class: this.deviceClass(),
+        viewport: { width: global.innerWidth ?? null, height: global.innerHeight ?? null },
+        screen: { width: global.screen?.width ?? null, height: global.screen?.height ?? null },
+        device_pixel_ratio: global.devicePixelRatio ?? null,
+        language: navigator.language || null,
+        timezone,
+        timezone_offset: new Date().getTimezoneOffset(),
+        referrer: this.referrer(),
+        utm: Object.keys(utm).length ? utm : null,
+        connection: connection ? {
+          effective_type: connection.effectiveType || null,
+          type: connection.type || null,
+          save_data: !!connection.saveData,
+        } : null,
+        aem_form: this.aemForm(),
+      };
+      return this.current;
+    },
+    
+    /**
+     * 'mobile' | 'tablet' | 'desktop' from pointer type and screen size
+     */
+    deviceClass() {
+      const coarse = !!global.matchMedia?.('(pointer: coarse)').matches;
+      const shortSide = Math.min(global.screen?.width || 0, global.screen?.height || 0);
+      if (!coarse) {
+        return 'desktop';
+      }
+      return shortSide >= 600 ? 'tablet' : 'mobile';
+    },
+    
+    /**
+     * Referrer without query string or fragment
+     */
+    referrer() {
+      if (!document.referrer) {
+        return null;
+      }
+      try {
+        const url = new URL(document.referrer);
+        return url.origin + url.pathname;
+      } catch (e) {
+        return null;
+      }
+    },
+    
+    /**
+     * Adaptive Form container details, for core component and foundation forms
+     */
+    aemForm() {
+      const container = document.querySelector?.('[data-cmp-is="adaptiveFormContainer"], .guideContainerNode, [data-guide-path]');
+      if (!container && !global.guideBridge) {
+        return null;
+      }
+      
+      const attr = (name) => container?.getAttribute(name) || null;
+      return {
+        type: attr('data-cmp-is') ? 'core' : 'foundation',
+        container_path: attr('data-cmp-path') || attr('data-guide-path') || attr('data-path'),
+        locale: attr('data-cmp-lang') || attr('lang') || document.documentElement?.lang || null,
+        form_id: container?.id || null,
+      };
+    },
+    
+    /**
+     * The context block for the next batch, if this session hasn't sent it
+     */
+    pending() {
+      const session = Session.current;
+      if (!this.current || !session || session.contextSent) {
+        return null;
+      }
+      return this.current;
+    },
+    
+    markSent() {
+      if (!Session.current || Session.current.contextSent) {
+        return;
+      }
+      Session.current.contextSent = true;
+      Session.write();
+    },
+  };
+
+  // ============================================================================
+  // Outbox (durable queue for failed batches)
+  // ============================================================================
+  
+  /**
+   * Persists undelivered batches across page loads.
+   * IndexedDB is preferred; localStorage is used when it is unavailable
+   * (private mode, blocked storage) or when a transaction fails.
+   */
+  const Outbox = {
+    DB_NAME: 'recap-sdk',
+    STORE: 'outbox',
+    STORAGE_KEY: 'recap_outbox',
+    dbPromise: null,
+    
+    open() {
+      if (this.dbPromise) {
+        return this.dbPromise;
+      }
+      
+      this.dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+          return resolve(null);
+        }
+        try {
+          const request = indexedDB.open(this.DB_NAME, 1);
+          request.onupgradeneeded = () => {
+            request.result.createObjectStore(this.STORE, { keyPath: 'id' });
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => resolve(null);
+          request.onblocked = () => resolve(null);
+        } catch (e) {
+          resolve(null);
+        }
+      });
+      return this.dbPromise;
+    },
+    
+    async idb(mode, fn) {
+      const db = await this.open();
+      if (!db) {
+        throw new Error('IndexedDB unavailable');
+      }
+      
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(this.STORE, mode);
+        const request = fn(tx.objectStore(this.STORE));
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    },
+    
+    readLocal() {
+      try {
+        return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || [];
+      } catch (e) {
+        return [];
+      }
+    },
+    
+    writeLocal(items) {
+      try {
+        if (items.length) {
+          localStorage.setItem(this.STORAGE_KEY, JSON.stringify(items));
+        } else {
+          localStorage.removeItem(this.STORAGE_KEY);
+        }
+      } catch (e) {
+        log('Outbox localStorage write failed:', e.message);
+      }
+    },
+    
+    async put(item) {
+      try {
+        await this.idb('readwrite', store => store.put(item));
+      } catch (e) {
+        this.putLocal(item);
+      }
+    },
+    
+    /**
+     * Synchronous write for the unload path, where an IndexedDB
+     * transaction may not complete before the page is gone
+     */
+    putLocal(item) {
+      const items = this.readLocal().filter(i => i.id !== item.id);
+      items.push(item);
+      this.writeLocal(items);
+    },
+    
+    async getAll() {
+      let items = [];
+      try {
+        items = await this.idb('readonly', store => store.getAll()) || [];
+      } catch (e) {
+        // Fall through to localStorage
+      }
+      // Batches persisted by a page where IndexedDB was unavailable
+      return [...items, ...this.readLocal()].sort((a, b) => a.createdAt - b.createdAt);
+    },
+    
+    async remove(id) {
+      try {
+        await this.idb('readwrite', store => store.delete(id));
+      } catch (e) {
+        // Fall through to localStorage
+      }
+      const items = this.readLocal();
+      const remaining = items.filter(i => i.id !== id);
+      if (remaining.length !== items.length) {
+        this.writeLocal(remaining);
+      }
+    },
+    
+    /**
+     * Drop every queued batch (consent withdrawn)
+     */
+    async clear() {
+      try {
+        await this.idb('readwrite', store => store.clear());
+      } catch (e) {
+        // Fall through to localStorage
+      }
+      this.writeLocal([]);
+    },
+  };
+
+  // ============================================================================
+  // Compression
+  // ============================================================================
+  
+  const Compression = {
+    FORMATS: ['gzip', 'deflate'],
+    
+    isSupported(format) {
+      return this.FORMATS.includes(format) && typeof CompressionStream !== 'undefined';
+    },
+    
+    /**
+     * Encode a JSON string for upload
+     * Falls back to the plain string when compression is off or unsupported.
+     * @returns {Promise<{body: string|ArrayBuffer, encoding: string|null}>}
+     */
+    async encode(json, format) {
+      if (!format) {
+        return { body: json, encoding: null };
+      }
+      if (!this.isSupported(format)) {
+        log('Compression not supported:', format, '- sending plain JSON');
+        return { body: json, encoding: null };
+      }
+      
+      try {
+        const stream = new Blob([json]).stream().pipeThrough(new CompressionStream(format));
+        const body = await new Response(stream).arrayBuffer();
+        log('Compressed', json.length, '→', body.byteLength, 'bytes', `(${format})`);
+        return { body, encoding: format };
+      } catch (e) {
+        log('Compression failed:', e.message);
+        return { body: json, encoding: null };
+      }
+    },
+  };
+
+  // ============================================================================
+  // Transport
+  // ============================================================================
+  
+  /**
+   * Delivers one payload. Every transport resolves true or throws.
+   * A custom transport receives (payload, { endpoint, headers, body }) and
+   * may return false to reject the batch, which queues it for retry.
+   */
+  const Transport = {
+    socket: null,
+    socketReady: null,
+    token: null,             // Last token from getAuthToken, reused on unload
+    
+    kind() {
+      const transport = state.options?.transport;
+      return typeof transport === 'function' ? 'custom' : (transport || 'fetch');
+    },
+    
+    isConfigured() {
+      const kind = this.kind();
+      return kind === 'custom' || kind === 'postMessage' || !!state.options?.endpoint;
+    },
+    
+    isHttp() {
+      const kind = this.kind();
+      return kind === 'fetch' || kind === 'beacon';
+    },
+    
+    hasCustomHeaders() {
+      return !!(state.options?.headers || state.options?.getAuthToken);
+    },
+    
+    async headers(data) {
+      const { headers, getAuthToken } = state.options;
+      const resolved = typeof headers === 'function' ? await headers(data) : headers;
+      const result = { ...(resolved || {}) };
+      
+      if (getAuthToken) {
+        this.token = await getAuthToken();
+        if (this.token) {
+          result.Authorization = `Bearer ${this.token}`;
+        }
+      }
+      return result;
+    },
+    
+    /**
+     * Headers available synchronously while the page unloads
+     */
+    cachedHeaders() {
+      const { headers } = state.options;
+      const result = headers && typeof headers === 'object' ? { ...headers } : {};
+      if (this.token) {
+        result.Authorization = `Bearer ${this.token}`;
+      }
+      return result;
+    },
+    
+    async send(data) {
+      const json = JSON.stringify(data);
+      
+      switch (this.kind()) {
+      case 'fetch':
+        return this.fetch(data, json);
+      case 'beacon':
+        return this.beacon(data, json);
+      case 'websocket':
+        return this.websocket(json);
+      case 'postMessage':
+        return this.postMessage(data);
+      case 'custom':
+        return this.custom(data, json);
+      default:
+        throw new Error(`Unknown transport: ${state.options.transport}`);
+      }
+    },
+    
+    async fetch(data, json) {
+      const { body, encoding } = await Compression.encode(json, state.options.compression);
+      const headers = { 'Content-Type': 'application/json', ...(await this.headers(data)) };
+      if (encoding) {
+        headers['Content-Encoding'] = encoding;
+      }
+      if (data.idempotency_key) {
+        headers['Idempotency-Key'] = data.idempotency_key;
+      }
+      
+      const size = typeof body === 'string' ? byteLength(body) : body.byteLength;
+      const response = await fetch(state.options.endpoint, {
+        method: 'POST',
+        headers,
+        body,
+        // Browsers reject keepalive bodies over 64KB outright
+        keepalive: size <= BEACON_LIMIT,
+      });
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return true;
+    },
+    
+    /**
+     * Beacons cannot carry headers, so with `headers` or `getAuthToken`
+     * batches go through keepalive fetch instead, as on unload
+     */
+    async beacon(data, json) {
+      if (this.hasCustomHeaders()) {
+        return this.fetch(data, json);
+      }
+      if (typeof navigator.sendBeacon !== 'function') {
+        throw new Error('sendBeacon not supported');
+      }
+      
+      for (const part of Network.chunk(data, BEACON_LIMIT)) {
+        if (!navigator.sendBeacon(state.options.endpoint, JSON.stringify(part))) {
+          throw new Error('sendBeacon refused payload');
+        }
+      }
+      return true;
+    },
+    
+    openSocket() {
+      if (this.socket && this.socket.readyState <= 1) {
+        return this.socketReady;
+      }
+      
+      const socket = new WebSocket(state.options.endpoint);
+      this.socket = socket;
+      this.socketReady = new Promise((resolve, reject) => {
+        socket.addEventListener('open', () => resolve(socket), { once: true });
+        socket.addEventListener('error', () => reject(new Error('WebSocket error')), { once: true });
+      });
+      socket.addEventListener('close', () => {
+        if (this.socket === socket) {
+          this.socket = null;
+        }
+      });
+      return this.socketReady;
+    },
+    
+    async websocket(json) {
+      const socket = await this.openSocket();
+      socket.send(json);
+      return true;
+    },
+    
+    async postMessage(data) {
+      const { targetOrigin } = state.options;
+      if (!targetOrigin) {
+        throw new Error('postMessage transport requires targetOrigin');
+      }
+      if (window.parent === window) {
+        throw new Error('postMessage transport requires a parent frame');
+      }
+      
+      window.parent.postMessage({ source: 'recap-sdk', type: 'RECORDING_BATCH', payload: data }, targetOrigin);
+      return true;
+    },
+    
+    async custom(data, json) {
+      const headers = await this.headers(data);
+      const result = await state.options.transport(data, {
+        endpoint: state.options.endpoint,
+        headers,
+        body: json,
+      });
+      if (result === false) {
+        throw new Error('Custom transport rejected batch');
+      }
+      return true;
+    },
+    
+    /**
+     * Best-effort send while the page unloads: the request must be started
+     * synchronously, so fetch uses keepalive with the cached headers
+     */
+    unload(data, json) {
+      if (!this.isHttp()) {
+        return this.send(data);
+      }
+      
+      return fetch(state.options.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.cachedHeaders(),
+          ...(data.idempotency_key && { 'Idempotency-Key': data.idempotency_key }),
+        },
+        body: json,
+        keepalive: true,
+      }).then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return true;
+      });
+    },
+  };
+
+  // ============================================================================
+  // Event Buffer (memory caps and backpressure)
+  // ============================================================================
+  
+  /**
+   * Owns state.events and keeps it under `maxEvents` and `maxBufferBytes`
+   * when batches can't leave (no endpoint, pending consent, a flight
+   * recorder waiting for its trigger). Over a cap, events are dropped
+   * oldest-first in order of value until the buffer is back under
+   * LOW_WATER of the cap:
+   *   1. mouse/touch moves, drags and scrolls
+   *   2. anything before the latest checkout (superseded by its snapshot)
+   *   3. other incremental events (mutations, clicks)
+   *   4. inputs and custom events
+   * The latest Meta + FullSnapshot are never dropped.
+   */
+  const EventBuffer = {
+    LOW_WATER: 0.8,
+    LOW_VALUE_SOURCES: [1, 3, 6, 12], // MouseMove, Scroll, TouchMove, Drag
+    bytes: 0,
+    sizes: new WeakMap(),
+    dropped: null,           // Drop counts since the last batch
+    enforcing: false,
+    
+    /**
+     * Approximate serialized size, cached per event
+     */
+    size(event) {
+      let size = this.sizes.get(event);
+      if (size === undefined) {
+        try {
+          size = JSON.stringify(event).length;
+        } catch (e) {
+          size = 0;
+        }
+        this.sizes.set(event, size);
+      }
+      return size;
+    },
+    
+    push(event) {
+      state.events.push(event);
+      this.bytes += this.size(event);
+      
+      const { maxEvents, maxBufferBytes } = state.options;
+      if (!this.enforcing && (state.events.length > maxEvents || (maxBufferBytes && this.bytes > maxBufferBytes))) {
+        this.enforce();
+      }
+    },
+    
+    /**
+     * Remove and return every buffered event
+     */
+    take() {
+      const events = state.events.splice(0, state.events.length);
+      this.bytes = 0;
+      return events;
+    },
+    
+    /**
+     * Remove the oldest `count` events
+     */
+    shift(count) {
+      for (const event of state.events.splice(0, count)) {
+        this.bytes -= this.size(event);
+      }
+    },
+    
+    clear() {
+      state.events = [];
+      this.bytes = 0;
+    },
+    
+    /**
+     * @returns {number} 0-3 in drop order, or -1 for events that are kept
+     */
+    rank(event, index, checkout) {
+      if (index === checkout || (index === checkout + 1 && event.type === 2)) {
+        return -1;
+      }
+      if (event.type === 3 && this.LOW_VALUE_SOURCES.includes(event.data?.source)) {
+        return 0;
+      }
+      if (index < checkout) {
+        return 1;
+      }
+      if (event.type === 3 && event.data?.source !== 5) {
+        return 2;
+      }
+      return 3;
+    },
+    
+    enforce() {
+      const { maxEvents, maxBufferBytes } = state.options;
+      const events = state.events;
+      const targetCount = Math.floor(maxEvents * this.LOW_WATER);
+      const targetBytes = maxBufferBytes ? Math.floor(maxBufferBytes * this.LOW_WATER) : Infinity;
+      const reason = events.length > maxEvents ? 'max_events' : 'max_buffer_bytes';
+      
+      let checkout = -1;
+      for (let i = events.length - 1; i >= 0; i--) {
+        if (events[i].type === 4) {
+          checkout = i;
+          break;
+        }
+      }
+      
+      const drop = new Set();
+      const counts = { low_value: 0, superseded: 0, incremental: 0, input: 0 };
+      const kinds = Object.keys(counts);
+      let count = events.length;
+      let bytes = this.bytes;
+      
+      for (let rank = 0; rank < kinds.length && (count > targetCount || bytes > targetBytes); rank++) {
+        for (let i = 0; i < events.length && (count > targetCount || bytes > targetBytes); i++) {
+          if (drop.has(i) || this.rank(events[i], i, checkout) !== rank) {
+            continue;
+          }
+          drop.add(i);
+          counts[kinds[rank]]++;
+          count--;
+          bytes -= this.size(events[i]);
+        }
+      }
+      
+      if (!drop.size) {
+        return;
+      }
+      
+      const dropped = this.dropped || { events: 0, bytes: 0, low_value: 0, superseded: 0, incremental: 0, input: 0 };
+      dropped.events += drop.size;
+      dropped.bytes += this.bytes - bytes;
+      kinds.forEach(kind => { dropped[kind] += counts[kind]; });
+      this.dropped = dropped;
+      
+      state.events = events.filter((event, i) => !drop.has(i));
+      this.bytes = bytes;
+      log('Buffer over', reason + ', dropped', drop.size, 'events', counts);
+      
+      // Mark the gap in the recording itself, extending a marker that is
+      // still the latest event rather than stacking them up
+      const last = state.events[state.events.length - 1];
+      if (last?.type === 5 && last.data?.tag === 'recap-truncated') {
+        const marker = last.data.payload;
+        marker.reason = reason;
+        marker.dropped += drop.size;
+        kinds.forEach(kind => { marker[kind] += counts[kind]; });
+        return;
+      }
+      
+      this.enforcing = true;
+      try {
+        rrweb.record.addCustomEvent('recap-truncated', { reason, dropped: drop.size, ...counts });
+      } catch (e) {
+      } finally {
+        this.enforcing = false;
+      }
+    },
+    
+    /**
+     * Drop counts for the next payload, reset once reported
+     */
+    takeDropped() {
+      const dropped = this.dropped;
+      this.dropped = null;
+      return dropped;
+    },
+  };
+
+  // ============================================================================
+  // Network
+  // ============================================================================
+  
+  const Network = {
+    retrying: false,
+    
+    /**
+     * Single delivery attempt, no queueing
+     * @returns {Promise<boolean|undefined>} undefined when there is no endpoint
+     */
+    async deliver(data) {
+      if (!Transport.isConfigured()) {
+        log('No endpoint configured, skipping send');
+        return;
+      }
+      
+      try {
+        await Transport.send(data);
+        log('Sent', data.events?.length || 0, 'events');
+        return true;
+      } catch (e) {
+        log('Send failed:', e.message);
+        state.options?.onError?.(e);
+        return false;
+      }
+    },
+    
+    /**
+     * Deliver a batch, queueing it in the outbox if the attempt fails
+     */
+    async send(data) {
+      const sent = await this.deliver(data);
+      if (sent === false) {
+        await this.enqueue(data);
+      }
+      return sent;
+    },
+    
+    async enqueue(data) {
+      const { maxQueuedBatches, retryBaseDelay } = state.options;
+      const now = Date.now();
+      
+      try {
+        const items = await Outbox.getAll();
+        // Make room by dropping the oldest batches
+        const overflow = items.length - maxQueuedBatches + 1;
+        for (const item of items.slice(0, Math.max(0, overflow))) {
+          log('Outbox full, dropping batch:', item.id);
+          await Outbox.remove(item.id);
+        }
+        
+        await Outbox.put({
+          id: generateId(),
+          payload: data,
+          attempts: 1,
+          createdAt: now,
+          nextAttempt: now + retryBaseDelay,
+        });
+        log('Queued batch for retry,', data.events?.length || 0, 'events');
+      } catch (e) {
+        log('Failed to queue batch:', e.message);
+      }
+    },
+    
+    /**
+     * Retry queued batches whose backoff has elapsed
+     * @param {boolean} force - Ignore backoff (e.g. browser came back online)
+     */
+    async retryQueue(force = false) {
+      if (this.retrying || !Transport.isConfigured() || !Consent.isGranted()) {
+        return;
+      }
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return;
+      }
+      
+      this.retrying = true;
+      try {
+        const { maxRetries, retryBaseDelay, retryMaxDelay } = state.options;
+        const items = await Outbox.getAll();
+        
+        for (const item of items) {
+          // Consent withdrawn mid-retry
+          if (!Consent.isGranted()) {
+            break;
+          }
+          if (!force && item.nextAttempt > Date.now()) {
+            continue;
+          }
+          
+          const sent = await this.deliver(item.payload);
+          if (sent !== false) {
+            await Outbox.remove(item.id);
+            continue;
+          }
+          
+          const attempts = item.attempts + 1;
+          if (attempts >= maxRetries) {
+            log('Dropping batch after', attempts, 'attempts:', item.id);
+            await Outbox.remove(item.id);
+            continue;
+          }
+          
+          const delay = Math.min(retryBaseDelay * 2 ** attempts, retryMaxDelay);
+          await Outbox.put({ ...item, attempts, nextAttempt: Date.now() + delay });
+          // Endpoint still failing - leave the rest for the next trigger
+          break;
+        }
+      } catch (e) {
+        log('Outbox retry failed:', e.message);
+      } finally {
+        this.retrying = false;
+      }
+    },
+    
+    /**
+     * Split a payload into parts that each fit within `limit` bytes.
+     * A single event larger than the limit ends up alone in an oversized part.
+     */
+    chunk(payload, limit) {
+      const { events, ...envelope } = payload;
+      const overhead = byteLength(JSON.stringify({ ...envelope, events: [], chunk: { index: 0, count: 0 } })) + 16;
+      const groups = [];
+      let current = [];
+      let size = overhead;
+      
+      for (const event of events) {
+        const eventSize = byteLength(JSON.stringify(event)) + 1;
+        if (current.length && size + eventSize > limit) {
+          groups.push(current);
+          current = [];
+          size = overhead;
+        }
+        current.push(event);
+        size += eventSize;
+      }
+      if (current.length) {
+        groups.push(current);
+      }
+      
+      if (groups.length <= 1) {
+        return [payload];
+      }
+      return groups.map((group, index) => ({
+        ...envelope,
+        idempotency_key: `${envelope.idempotency_key}.${index}`,
+        is_final: envelope.is_final && index === groups.length - 1,
+        ...eventSpan(group),
+        events: group,
+        chunk: { index, count: groups.length },
+      }));
+    },
+    
+    /**
+     * Final flush while the page unloads.
+     * fetch keepalive silently drops bodies over 64KB, so HTTP parts are sent
+     * with sendBeacon (as text/plain, which needs no CORS preflight). Parts
+     * that are too large or that the browser refuses are persisted to the
+     * outbox and delivered on the next page view.
+     *
+     * Beacons cannot carry custom headers, and other transports cannot confirm
+     * delivery before the page is gone. In those cases each part is persisted
+     * first and sent anyway; the outbox entry is cleared if the send completes,
+     * and a copy resent on the next page view is deduplicated server-side by
+     * its idempotency_key.
+     */
+    sendOnUnload(payload) {
+      if (!Transport.isConfigured()) {
+        log('No endpoint configured, skipping send');
+        return;
+      }
+      
+      const http = Transport.isHttp();
+      const parts = http ? this.chunk(payload, BEACON_LIMIT) : [payload];
+      const beaconCapable = http && !Transport.hasCustomHeaders() && typeof navigator.sendBeacon === 'function';
+      let beaconOpen = beaconCapable;
+      
+      parts.forEach((part, index) => {
+        const json = JSON.stringify(part);
+        const fits = byteLength(json) <= BEACON_LIMIT;
+        
+        if (beaconOpen && fits) {
+          try {
+            if (navigator.sendBeacon(state.options.endpoint, json)) {
+              return;
+            }
+          } catch (e) {
+            log('sendBeacon failed:', e.message);
+          }
+          // Beacon queue is full - everything after this goes to the outbox
+          beaconOpen = false;
+        }
+        
+        const item = {
+          id: `${generateId()}-${index}`,
+          payload: part,
+          attempts: 0,
+          createdAt: Date.now(),
+          nextAttempt: 0,
+        };
+        Outbox.putLocal(item);
+        log('Persisted unload batch for next page view,', part.events.length, 'events');
+        
+        if (!beaconCapable && (fits || !http)) {
+          Transport.unload(part, json)
+            .then(() => Outbox.remove(item.id))
+            .catch(e => log('Unload send failed:', e.message));
+        }
+      });
+    },
+    
+    /**
+     * Batch body around `events`, before beforeSend and numbering
+     * @param {Object} metadata - Extra metadata for this batch only
+     */
+    envelope(events, options = {}, metadata = {}) {
+      return {
+        session_id: state.sessionId,
+        page_index: state.pageIndex,
+        is_final: !!options.final,
+        ...eventSpan(events),
+        form_id: state.config?.form?.id,
+        form_name: state.config?.form?.name,
+        timestamp: Date.now(),
+        duration: Date.now() - state.startTime,
+        events,
+        metadata: {
+          url: location.href,
+          user_agent: navigator.userAgent,
+          sdk_version: VERSION,
+          journey: Journey.metadata(),
+          flight_recorder: FlightRecorder.metadata(),
+          identity: Identity.metadata(),
+          ...metadata,
+        },
+      };
+    },
+    
+    /**
+     * @param {Object} options
+     * @param {boolean} options.unload - Page is going away; use the beacon path
+     * @param {boolean} options.final - Last batch of this page's recording
+     */
+    flush(options = {}) {
+      // Pending consent keeps events in memory only
+      if (!Consent.isGranted()) {
+        return;
+      }
+      
+      // Give queued batches a chance before sending new ones
+      if (!state.options?.testMode && !options.unload) {
+        this.retryQueue();
+      }
+      
+      // Nothing leaves the flight recorder until it is triggered
+      if (FlightRecorder.buffering()) {
+        FlightRecorder.trim();
+        return;
+      }
+      
+      // Nowhere to send - keep events in memory, bounded by EventBuffer
+      if (!state.options?.testMode && !Transport.isConfigured()) {
+        log('No endpoint configured,', state.events.length, 'events held in memory');
+        return;
+      }
+      
+      // A final batch is sent even when empty so the server sees the end marker
+      if (!state.events.length && !options.final) {
+        return;
+      }
+      
+      const events = EventBuffer.take();
+      
+      let payload = this.envelope(events, options, {
+        truncation: EventBuffer.takeDropped(),
+        context: SessionContext.pending(),
+      });
+      
+      payload = Hooks.run('beforeSend', payload);
+      if (!payload) {
+        log('Batch vetoed by beforeSend,', events.length, 'events dropped');
+        return;
+      }
+      
+      if (payload.metadata?.context) {
+        SessionContext.markSent();
+      }
+      
+      // Numbered after beforeSend so vetoed batches leave no sequence gaps
+      payload.batch_seq = Session.nextBatchSeq();
+      payload.idempotency_key = `${payload.session_id}:${state.pageId}:${payload.batch_seq}`;
+      
+      // For test mode, send to extension instead
+      if (state.options?.testMode) {
+        window.postMessage({ 
+          source: 'recap-sdk', 
+          type: 'RECORDING_DATA', 
+          payload 
+        }, '*');
+        return;
+      }
+      
+      if (options.unload) {
+        this.sendOnUnload(payload);
+        return;
+      }
+      
+      this.send(payload);
+    }
+  };
+
+  // ============================================================================
+  // Recording
+  // ============================================================================
+  
+  const Recording = {
+    emit: null,              // Active emit callback, for events the SDK builds itself
+    listening: false,
+    
+    /**
+     * Helper to mask incremental input events
+     * CRITICAL: rrweb's maskInputFn only works for initial snapshot!
+     * This function masks input values for incremental events.
+     */
+    maskIncrementalInput(event, maskSelectors) {
+      // Only process incremental snapshots (type 3) with input source (source 5)
+      if (event.type !== 3 || event.data?.source !== 5 || !event.data?.text) {
+        return event;
+      }
+      
+      const nodeId = event.data?.id;
+      if (!nodeId) return event;
+      
+      // Get the node from rrweb's mirror
+      let node = null;
+      try {
+        node = rrweb.record?.mirror?.getNode(nodeId);
+      } catch (e) {
+        return event;
+      }
+      
+      if (!node) return event;
+      
+      // Check if this node matches any mask selector
+      for (const sel of maskSelectors) {
+        try {
+          let matched = false;
+          
+          if (sel.startsWith('#')) {
+            const idPart = sel.slice(1);
+            if (node.id === idPart || (node.id && node.id.includes(idPart))) {
+              matched = true;
+            }
+          } else if (sel.startsWith('[name=') && node.name) {
+            const nameMatch = sel.match(/\[name="?([^"\]]+)"?\]/);
+            if (nameMatch && (node.name === nameMatch[1] || node.name.includes(nameMatch[1]))) {
+              matched = true;
+            }
+          } else if (sel.startsWith('.') && node.classList?.contains(sel.slice(1))) {
+            matched = true;
+          } else if (node.matches?.(sel)) {
+            matched = true;
+          }
+          
+          if (matched) {
+            log('Masking incremental input for:', node.id || node.name || nodeId);
+            return {
+              ...event,
+              data: {
+                ...event.data,
+                text: '••••••••'
+              }
+            };
+          }
+        } catch (e) {
+          // Invalid selector, continue
+        }
+      }
+      
+      return event;
+    },
+    
+    /**
+     * The user came back after `sessionTimeout` of inactivity on the same
+     * page (or signed out, see RecapSDK.reset): close out the old session and
+     * continue under a new id, starting with a fresh full snapshot so the new
+     * session replays on its own.
+     * @param {boolean} keepIdentity - False when the user signed out
+     */
+    rotateSession(keepIdentity = true) {
+      // The old session ends here
+      Abandonment.report();
+      Network.flush({ final: true });
+      // An untriggered flight buffer belongs to the old session
+      if (FlightRecorder.buffering()) {
+        EventBuffer.clear();
+      }
+      
+      const session = Session.rotate(keepIdentity);
+      state.sessionId = session.id;
+      state.pageIndex = session.pageIndex;
+      state.startTime = Date.now();
+      state.lastActivity = Date.now();
+      SessionContext.capture();
+      Abandonment.start();
+      log('Session rotated to:', state.sessionId);
+      
+      try {
+        rrweb.record.takeFullSnapshot?.(true);
+      } catch (e) {
+        log('Full snapshot after rotation failed:', e.message);
+      }
+    },
+    
+    start() {
+      log('Recording.start() called, recording:', state.recording, 'rrweb:', typeof rrweb);
+      if (state.recording) {
+        log('Cannot start - already recording');
+        return false;
+      }
+      if (typeof rrweb === 'undefined') {
+        log('Cannot start - rrweb not loaded');
+        return false;
+      }
+      // Consent or RecapSDK.start() must not override targeting, sampling or RecapSDK.stop()
+      if (state.blocked || state.manualStop) {
+        log('Cannot start -', state.manualStop ? 'stopped manually' : `blocked by ${state.blocked.rule}`);
+        return false;
+      }
+      if (!Consent.canRecord()) {
+        log('Cannot start - consent', Consent.status);
+        return false;
+      }
+      
+      const session = Session.resume(!!state.options?.testMode);
+      state.sessionId = session.id;
+      state.pageIndex = session.pageIndex;
+      state.startTime = Date.now();
+      state.lastActivity = Date.now();
+      EventBuffer.clear();
+      SessionContext.capture();
+      
+      log('Starting recording, session:', state.sessionId);
+      
+      try {
+        const maskSelectors = state.config?.masking?.selectors || [];
+        
+        // Define emit callback with incremental input masking
+        const emitCallback = (event, isCheckout) => {
+          // Apply masking to incremental input events
+          const maskedEvent = Hooks.run('beforeEmit', maskSelectors.length > 0 
+            ? this.maskIncrementalInput(event, maskSelectors) 
+            : event);
+          if (!maskedEvent) {
+            return;
+          }
+          
+          const now = Date.now();
+          if (now - state.lastActivity > state.options.sessionTimeout) {
+            this.rotateSession();
+          }
+          
+          EventBuffer.push(maskedEvent);
+          state.lastActivity = now;
+          Session.touch(now);
+          FlightRecorder.inspect(maskedEvent);
+          Frustration.inspect(maskedEvent);
+          Abandonment.inspect(maskedEvent);
+          
+          // Auto-flush when batch size reached (trims while the flight recorder buffers)
+          if (state.events.length >= state.options.batchSize) {
+            Network.flush();
+          }
+          
+          // For test mode, also send individual events
+          if (state.options?.testMode) {
+            window.postMessage({ 
+              source: 'recap-sdk', 
+              type: 'RRWEB_EVENT', 
+              payload: { event: maskedEvent, eventCount: state.events.length }
+            }, '*');
+          }
+        };
+        
+        // Use shared RrwebUtils if available (for consistency with extension)
+        let recordOptions;
+        if (typeof window.RrwebUtils !== 'undefined') {
+          log('Using shared RrwebUtils for config');
+          log('Config passed to RrwebUtils:', {
+            hasMasking: !!state.config?.masking,
+            maskingSelectors: state.config?.masking?.selectors,
+            hasRrwebOptions: !!state.config?.rrweb_options
+          });
+          recordOptions = window.RrwebUtils.buildRecordOptions(state.config, emitCallback, { log });
+          log('rrweb options built:', {
+            hasMaskInputFn: typeof recordOptions.maskInputFn === 'function',
+            maskTextSelector: recordOptions.maskTextSelector,
+            ignoreSelector: recordOptions.ignoreSelector
+          });
+        } else {
+          // Standalone mode - build options inline
+          log('Using standalone config (RrwebUtils not available)');
+          const rrwebOptions = state.config?.rrweb_options || {};
+          
+          log('Masking config:', {
+            selectors: maskSelectors,
+            count: maskSelectors.length,
+            maskAllInputs: state.config?.masking?.mask_all_inputs
+          });
+          
+          recordOptions = {
+            emit: emitCallback,
+            ignoreSelector: rrwebOptions.ignoreSelector || null,
+            blockSelector: rrwebOptions.blockSelector || '.recap-block',
+            maskTextSelector: rrwebOptions.maskTextSelector || null,
+            maskInputOptions: rrwebOptions.maskInputOptions || { password: true },
+            ignoreClass: rrwebOptions.ignoreClass || 'recap-ignore',
+            blockClass: rrwebOptions.blockClass || 'recap-block',
+            sampling: rrwebOptions.sampling || { input: 'last', mousemove: false, scroll: 150 },
+            recordCanvas: rrwebOptions.recordCanvas ?? false,
+            collectFonts: rrwebOptions.collectFonts ?? false,
+            inlineStylesheet: true
+          };
+          
+          // Add maskInputFn for selective masking during initial snapshot
+          if (maskSelectors.length > 0) {
+            recordOptions.maskInputFn = (text, element) => {
+              if (!element) return text;
+              for (const sel of maskSelectors) {
+                try {
+                  if (element.matches?.(sel)) return '••••••••';
+                  if (sel.startsWith('#') && element.id === sel.slice(1)) return '••••••••';
+                  if (sel.startsWith('#') && element.id?.includes(sel.slice(1))) return '••••••••';
+                  if (sel.startsWith('[name=') && element.name) {
+                    const nameMatch = sel.match(/\[name="?([^"\]]+)"?\]/);
+                    if (nameMatch && (element.name === nameMatch[1] || element.name.includes(nameMatch[1]))) {
+                      return '••••••••';
+                    }
+                  }
+                } catch (e) {}
+              }
+              return text;
+            };
+          }
+        }
+        
+        // Add checkout for long sessions; the flight recorder trims at checkouts
+        if (FlightRecorder.buffering()) {
+          Object.assign(recordOptions, FlightRecorder.checkoutOptions());
+        } else {
+          recordOptions.checkoutEveryNms = 60000;
+        }
+        
+        this.emit = emitCallback;
+        state.stopFn = rrweb.record(recordOptions);
+        state.recording = true;
+        Abandonment.start();
+        Journey.start();
+        NetworkCapture.intercept();
+        ErrorCapture.setup();
+        ValidationCapture.start();
+        PerformanceCapture.start();
+        
+        // Setup periodic flush
+        this.flushInterval = setInterval(() => {
+          if (state.events.length > 0) {
+            Network.flush();
+          }
+        }, state.options.flushInterval);
+        
+        this.listen();
+        
+        log('Recording started');
+        return true;
+      } catch (e) {
+        log('Failed to start recording:', e);
+        state.options?.onError?.(e);
+        return false;
+      }
+    },
+    
+    /**
+     * Page unload handlers, registered once for every later restart
+     */
+    listen() {
+      if (this.listening) {
+        return;
+      }
+      this.listening = true;
+      
+      window.addEventListener('beforeunload', () => this.stop({ unload: true }));
+      window.addEventListener('pagehide', () => this.stop({ unload: true }));
+    },
+    
+    /**
+     * @param {Object} options
+     * @param {boolean} options.unload - Called from beforeunload/pagehide
+     * @param {boolean} options.discard - Drop buffered events instead of sending (consent denied)
+     */
+    stop(options = {}) {
+      if (!state.recording) return;
+      
+      log('Stopping recording');
+      
+      // Final vitals are recorded before the last batch goes out
+      PerformanceCapture.stop(options.unload || state.manualStop);
+      Frustration.reset();
+      Journey.stop();
+      NetworkCapture.restore();
+      ErrorCapture.restore();
+      ValidationCapture.stop();
+      
+      if (state.stopFn) {
+        state.stopFn();
+        state.stopFn = null;
+      }
+      this.emit = null;
+      
+      if (this.flushInterval) {
+        clearInterval(this.flushInterval);
+        this.flushInterval = null;
+      }
+      
+      if (options.discard) {
+        log('Discarding', state.events.length, 'buffered events');
+        EventBuffer.clear();
+      } else {
+        // hotApply/reroute restart recording in the same page; only unload or
+        // RecapSDK.stop() end it
+        Network.flush({ ...options, final: !!(options.unload || state.manualStop) });
+        Session.write();
+      }
+      
+      state.recording = false;
+      log('Recording stopped');
+    },
+    
+    isRecording() {
+      return state.recording;
+    }
+  };
+
+  // ============================================================================
+  // Journey (step and success detection)
+  // ============================================================================
+  
+  /**
+   * Watches for the configured journey step selectors and the success
+   * selector becoming present and visible, and marks them in the recording
+   * as `journey-step` / `journey-success` custom events.
+   */
+  const Journey = {
+    CHECK_DELAY: 150,
+    observer: null,
+    timer: null,
+    reached: new Set(),
+    succeeded: false,
+    
+    /**
+     * Steps from exported ({ selector, name }) or legacy (string) config
+     */
+    steps() {
+      return (state.config?.journey?.steps || [])
+        .map((step, index) => {
+          const selector = typeof step === 'object' ? step?.selector : step;
+          const name = (typeof step === 'object' && step?.name) || `Step ${index + 1}`;
+          return { selector, name, index };
+        })
+        .filter(step => step.selector);
+    },
+    
+    successSelector() {
+      const journey = state.config?.journey;
+      return journey?.success_selector || journey?.successSelector || null;
+    },
+    
+    start() {
+      this.reached = new Set();
+      this.succeeded = false;
+      if (!this.steps().length && !this.successSelector()) {
+        return;
+      }
+      
+      this.observer = new MutationObserver(() => this.schedule());
+      this.observer.observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['class', 'style', 'hidden', 'aria-hidden'],
+      });
+      this.check();
+    },
+    
+    stop() {
+      this.observer?.disconnect();
+      this.observer = null;
+      clearTimeout(this.timer);
+      this.timer = null;
+    },
+    
+    schedule() {
+      if (this.timer) {
+        return;
+      }
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.check();
+      }, this.CHECK_DELAY);
+    },
+    
+    check() {
+      if (!state.recording) {
+        return;
+      }
+      
+      for (const step of this.steps()) {
+        if (this.reached.has(step.index) || !this.isShown(step.selector)) {
+          continue;
+        }
+        
+        this.reached.add(step.index);
+        log('Journey step reached:', step.name);
+        rrweb.record.addCustomEvent('journey-step', step);
+        
+        const furthest = Session.current?.journey?.furthest_step;
+        if (!furthest || step.index > furthest.index) {
+          Session.recordJourney({ furthest_step: { index: step.index, name: step.name } });
+        }
+      }
+      
+      const successSelector = this.successSelector();
+      if (successSelector && !this.succeeded && this.isShown(successSelector)) {
+        this.succeeded = true;
+        log('Journey success');
+        rrweb.record.addCustomEvent('journey-success', { selector: successSelector });
+        Session.recordJourney({ success: true });
+      }
+    },
+    
+    isShown(selector) {
+      let elements = [];
+      try {
+        elements = document.querySelectorAll(selector);
+      } catch (e) {
+        // Non-CSS id selectors (see ConfigSchema.isValidSelector) match by id
+        const byId = selector.startsWith('#') && document.getElementById(selector.slice(1));
+        if (!byId) {
+          return false;
+        }
+        elements = [byId];
+      }
+      
+      return Array.from(elements).some(el => {
+        if (!el.getClientRects().length) {
+          return false;
+        }
+        const style = getComputedStyle(el);
+        return style.visibility !== 'hidden' && parseFloat(style.opacity) !== 0;
+      });
+    },
+    
+    /**
+     * Journey progress for payload metadata (session-wide, across pages)
+     */
+    metadata() {
+      const progress = Session.current?.journey;
+      return {
+        furthest_step: progress?.furthest_step || null,
+        success: !!progress?.success || this.succeeded,
+      };
+    },
+  };
+
+  // ============================================================================
+  // Validation Capture (validation messages linked to their field)
+  // ============================================================================
+  
+  /**
+   * Watches Adaptive Form error message elements, plus
+   * `config.errors.error_container_selector` and `flightTriggerSelector`, and
+   * records a `validation-error` custom event whenever a container appears or
+   * its text changes:
+   *   { message, selector, label, container }
+   * `selector` and `label` belong to the nearest field, in the extension's
+   * format (see EventParser.getSelector / getLabel). Disabled with
+   * `captureValidation: false`.
+   *
+   * Only the configured containers release the flight recorder; ordinary
+   * messages are too common to justify uploading a sampled-out session.
+   */
+  const ValidationCapture = {
+    CHECK_DELAY: 150,
+    MAX_MESSAGE_LENGTH: 300,
+    DEFAULT_SELECTOR: '.guideFieldError, [class*="__errormessage"]',
+    FIELD_SELECTOR: 'input:not([type="hidden"]):not([type="button"]):not([type="submit"]), select, textarea',
+    observer: null,
+    timer: null,
+    shown: new Map(),        // container element -> last reported text
+    
+    isEnabled() {
+      return this.capturing() || this.triggering();
+    },
+    
+    capturing() {
+      return state.options?.captureValidation !== false;
+    },
+    
+    /**
+     * Watching for the flight recorder's validation trigger
+     */
+    triggering() {
+      return FlightRecorder.buffering() && FlightRecorder.accepts('validation') && this.configured().length > 0;
+    },
+    
+    configured() {
+      return [state.config?.errors?.error_container_selector, state.options?.flightTriggerSelector].filter(Boolean);
+    },
+    
+    selectors() {
+      const configured = this.configured();
+      return this.capturing() ? [...new Set([this.DEFAULT_SELECTOR, ...configured])] : configured;
+    },
+    
+    isConfigured(el) {
+      return this.configured().some(selector => {
+        try {
+          return el.matches(selector);
+        } catch (e) {
+          return false;
+        }
+      });
+    },
+    
+    start() {
+      this.shown = new Map();
+      if (!this.isEnabled() || typeof MutationObserver === 'undefined' || !document.body) {
+        return;
+      }
+      
+      this.observer = new MutationObserver(() => {
+        if (this.timer) {
+          return;
+        }
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.check();
+        }, this.CHECK_DELAY);
+      });
+      this.observer.observe(document.body, {
+        childList: true,
+        subtree: true,
+        characterData: true,
+        attributes: true,
+        attributeFilter: ['class', 'style', 'hidden', 'aria-hidden'],
+      });
+      this.check();
+    },
+    
+    stop() {
+      this.observer?.disconnect();
+      this.observer = null;
+      clearTimeout(this.timer);
+      this.timer = null;
+    },
+    
+    containers() {
+      const found = [];
+      for (const selector of this.selectors()) {
+        try {
+          found.push(...document.querySelectorAll(selector));
+        } catch (e) {
+          log('Invalid error container selector:', selector);
+        }
+      }
+      return found;
+    },
+    
+    isShown(el) {
+      if (!el.getClientRects?.().length) {
+        return false;
+      }
+      const style = getComputedStyle(el);
+      return style.visibility !== 'hidden' && parseFloat(style.opacity) !== 0;
+    },
+    
+    check() {
+      if (!state.recording) {
+        return;
+      }
+      
+      const current = new Set();
+      for (const el of this.containers()) {
+        const text = el.textContent?.trim() || '';
+        if (!text || !this.isShown(el)) {
+          continue;
+        }
+        
+        current.add(el);
+        if (this.shown.get(el) === text) {
+          continue;
+        }
+        this.shown.set(el, text);
+        this.report(el, text);
+      }
+      
+      // Cleared messages are reported again if they come back
+      for (const el of this.shown.keys()) {
+        if (!current.has(el)) {
+          this.shown.delete(el);
+        }
+      }
+    },
+    
+    /**
+     * Messages currently on screen
+     */
+    showing() {
+      return this.shown.size > 0;
+    },
+    
+    report(el, text) {
+      const field = this.fieldFor(el);
+      const message = Scrubber.scrubText(text);
+      const payload = {
+        message: message.length > this.MAX_MESSAGE_LENGTH ? message.slice(0, this.MAX_MESSAGE_LENGTH) + '…' : message,
+        selector: field ? Frustration.describe(field).selector : null,
+        label: field ? this.label(field) : null,
+        container: Frustration.describe(el).selector,
+      };
+      log('Validation error:', payload.selector, payload.message);
+      if (this.capturing()) {
+        try {
+          rrweb.record.addCustomEvent('validation-error', payload);
+        } catch (e) {}
+      }
+      if (this.isConfigured(el)) {
+        FlightRecorder.validation(payload.message);
+      }
+    },
+    
+    /**
+     * The field a message belongs to: referenced by aria-describedby /
+     * aria-errormessage, else the first field in the closest wrapper
+     */
+    fieldFor(el) {
+      if (el.id) {
+        try {
+          const id = CSS.escape(el.id);
+          const referenced = document.querySelector(`[aria-describedby~="${id}"], [aria-errormessage="${id}"]`);
+          if (referenced) {
+            return referenced;
+          }
+        } catch (e) {}
+      }
+      
+      let parent = el.parentElement;
+      for (let depth = 0; parent && depth < 5; depth++, parent = parent.parentElement) {
+        const field = parent.querySelector?.(this.FIELD_SELECTOR);
+        if (field) {
+          return field;
+        }
+      }
+      return null;
+    },
+    
+    /**
+     * Same priority as EventParser.getLabel: aria-label > label[for] > parent label > placeholder
+     */
+    label(node) {
+      const ariaLabel = node.getAttribute?.('aria-label');
+      if (ariaLabel) {
+        return ariaLabel;
+      }
+      
+      if (node.id) {
+        try {
+          const label = document.querySelector(`label[for="${CSS.escape(node.id)}"]`);
+          if (label) {
+            return label.textContent?.trim();
+          }
+        } catch (e) {}
+      }
+      
+      const parentLabel = node.closest?.('label');
+      if (parentLabel) {
+        return parentLabel.textContent?.trim();
+      }
+      
+      return node.placeholder || null;
+    },
+  };
+
+  // ============================================================================
+  // Abandonment (form-abandon when the session ends before success)
+  // ============================================================================
+  
+  /**
+   * Records a `form-abandon` event with where the user got to when the
+   * session ends and the journey's success selector never appeared in it.
+   * Needs `journey.success_selector`.
+   *
+   * The page hiding is the last chance to report a user who never comes
+   * back, so the event goes out then, once per page, as its own batch keyed
+   * `<session_id>:abandon` (by beacon where possible). A later page of the
+   * session or its journey-success supersede it on the server. Rotating the
+   * session (inactivity, RecapSDK.reset()) reports it too.
+   */
+  const Abandonment = {
+    FIELD_SELECTOR: 'input, textarea, select',
+    // Invalid-state markup of plain HTML and AEM core/foundation forms
+    ERROR_SELECTORS: ['[aria-invalid="true"]', '[data-cmp-valid="false"]', '.validation-failure'],
+    lastInteraction: null,
+    lastField: null,
+    reported: false,
+    listening: false,
+    
+    start() {
+      this.lastInteraction = null;
+      this.lastField = null;
+      this.reported = false;
+      this.listen();
+    },
+    
+    listen() {
+      if (this.listening) {
+        return;
+      }
+      this.listening = true;
+      
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+          this.report({ unload: true });
+        }
+      });
+      window.addEventListener('pagehide', () => this.report({ unload: true }));
+    },
+    
+    /**
+     * Track clicks, focus and input from the rrweb stream
+     */
+    inspect(event) {
+      if (event.type !== 3) {
+        return;
+      }
+      const { source, type, id } = event.data || {};
+      if (source !== 2 && source !== 5) {
+        return;
+      }
+      
+      this.lastInteraction = event.timestamp;
+      if (source === 5 || type === 5) {
+        const node = Frustration.node(id);
+        if (node?.matches?.(this.FIELD_SELECTOR)) {
+          this.lastField = Frustration.describe(node).selector;
+        }
+      }
+    },
+    
+    validationErrorShowing() {
+      return ValidationCapture.showing() || this.ERROR_SELECTORS.some(selector => Journey.isShown(selector));
+    },
+    
+    /**
+     * The form-abandon batch for the current session, or null when there is
+     * nothing to report. Runs after the unload flush, so it doesn't rely on
+     * state.recording.
+     */
+    batch() {
+      if (this.reported || !state.sessionId || state.manualStop || !Journey.successSelector()) {
+        return null;
+      }
+      if (!Consent.isGranted() || FlightRecorder.buffering()) {
+        return null;
+      }
+      if (!state.options?.testMode && !Transport.isConfigured()) {
+        return null;
+      }
+      
+      const journey = Journey.metadata();
+      if (journey.success) {
+        return null;
+      }
+      
+      const now = Date.now();
+      const event = {
+        type: 5,
+        data: {
+          tag: 'form-abandon',
+          payload: {
+            lastStep: journey.furthest_step,
+            lastField: this.lastField,
+            timeSinceLastInteraction: this.lastInteraction ? now - this.lastInteraction : null,
+            validationErrorShowing: this.validationErrorShowing(),
+            interacted: !!this.lastInteraction,
+            path: location.pathname,
+          },
+        },
+        timestamp: now,
+      };
+      
+      const payload = Hooks.run('beforeSend', Network.envelope([event]));
+      if (!payload) {
+        return null;
+      }
+      payload.idempotency_key = `${payload.session_id}:abandon`;
+      return payload;
+    },
+    
+    /**
+     * @param {Object} options
+     * @param {boolean} options.unload - Page is hiding; use the beacon path
+     */
+    report(options = {}) {
+      const payload = this.batch();
+      if (!payload) {
+        return;
+      }
+      
+      this.reported = true;
+      log('Form abandoned:', payload.events[0].data.payload);
+      
+      // For test mode, send to extension instead
+      if (state.options.testMode) {
+        window.postMessage({ source: 'recap-sdk', type: 'RECORDING_DATA', payload }, '*');
+      } else if (options.unload) {
+        Network.sendOnUnload(payload);
+      } else {
+        Network.send(payload);
+      }
+    },
+  };
+
+  // ============================================================================
+  // Scrubber (PII removal shared by network and error capture)
+  // ============================================================================
+  
+  /**
+   * Removes values of `config.network.scrub_payload_keys`, and of the fields
+   * masked in the replay, wherever they appear: object keys at any depth,
+   * query parameters, and key/value pairs embedded in free text (log
+   * messages, error strings).
+   */
+  const Scrubber = {
+    SCRUBBED: '[SCRUBBED]',
+    FIELD_SELECTOR: 'input, textarea, select',
+    
+    keys() {
+      const keys = state.config?.network?.scrub_payload_keys || state.config?.network?.scrubKeys || [];
+      return new Set([...keys, ...this.maskedKeys()].map(k => String(k).toLowerCase()));
+    },
+    
+    /**
+     * name and id of the fields masked in the replay (`masking.selectors`,
+     * every field with `mask_all_inputs`, password inputs), so a value hidden
+     * on screen isn't uploaded in the form's submit request
+     */
+    maskedKeys() {
+      const masking = state.config?.masking || {};
+      const selectors = [...(masking.selectors || []), 'input[type="password"]'];
+      if (masking.mask_all_inputs) {
+        selectors.push(this.FIELD_SELECTOR);
+      }
+      
+      const keys = [];
+      for (const selector of selectors) {
+        // The selector names the field even when it isn't on the page
+        const named = selector.match(/^#([\w-]+)$/)?.[1] || selector.match(/\[name=["']?([^"'\]]+)["']?\]/)?.[1];
+        if (named) {
+          keys.push(named);
+        }
+        try {
+          for (const el of document.querySelectorAll(selector)) {
+            if (el.name) {
+              keys.push(el.name);
+            }
+            if (el.id) {
+              keys.push(el.id);
+            }
+          }
+        } catch (e) {
+          // Non-CSS selectors are covered by the name match above
+        }
+      }
+      return keys;
+    },
+    
+    /**
+     * Replace values of scrubbed keys at any depth
+     */
+    scrub(value, keys = this.keys()) {
+      if (!keys.size || !value || typeof value !== 'object') {
+        return value;
+      }
+      if (Array.isArray(value)) {
+        return value.map(v => this.scrub(v, keys));
+      }
+      
+      const result = {};
+      for (const [key, val] of Object.entries(value)) {
+        result[key] = keys.has(key.toLowerCase()) ? this.SCRUBBED : this.scrub(val, keys);
+      }
+      return result;
+    },
+    
+    scrubUrl(url, keys = this.keys()) {
+      if (!keys.size) {
+        return String(url);
+      }
+      try {
+        const parsed = new URL(url, location.href);
+        let changed = false;
+        for (const key of [...parsed.searchParams.keys()]) {
+          if (keys.has(key.toLowerCase())) {
+            parsed.searchParams.set(key, this.SCRUBBED);
+            changed = true;
+          }
+        }
+        return changed ? parsed.toString() : String(url);
+      } catch (e) {
+        return String(url);
+      }
+    },
+    
+    /**
+     * Scrub `key: value`, `"key": "value"` and `key=value` pairs in free text
+     */
+    scrubText(text, keys = this.keys()) {
+      let result = String(text);
+      for (const key of keys) {
+        const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`(["']?${escaped}["']?\\s*[:=]\\s*)("[^"]*"|'[^']*'|[^\\s,&;}]+)`, 'gi');
+        result = result.replace(pattern, `$1${this.SCRUBBED}`);
+      }
+      return result;
+    },
+  };
+
+  // ============================================================================
+  // Network Capture (fetch/XHR, scrubbed before emit)
+  // ============================================================================
+  
+  /**
+   * Records page fetch/XHR calls as `network` custom events, in the same
+   * shape the extension's trainer produces. Keys in
+   * `config.network.scrub_payload_keys`, and the name/id of masked fields,
+   * are scrubbed from request/response bodies and query strings, and
+   * `config.network.strip_headers` (plus credential headers, always) are
+   * removed, before anything reaches rrweb. Opt-in via `captureNetwork`.
+   * The SDK's own uploads and config/manifest requests are never recorded.
+   */
+  const NetworkCapture = {
+    originals: null,
+    ALWAYS_STRIP: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'],
+    
+    stripHeaders() {
+      const headers = state.config?.network?.strip_headers || state.config?.network?.stripHeaders || [];
+      return new Set([...this.ALWAYS_STRIP, ...headers.map(h => String(h).toLowerCase())]);
+    },
+    
+    absoluteUrl(url) {
+      try {
+        return new URL(String(url), location.href).href;
+      } catch (e) {
+        return String(url);
+      }
+    },
+    
+    isOwnRequest(url) {
+      const { endpoint, configUrl, manifestUrl } = state.options || {};
+      const target = this.absoluteUrl(url);
+      return [endpoint, configUrl, manifestUrl, ...Router.urls]
+        .some(own => own && target.startsWith(this.absoluteUrl(own)));
+    },
+    
+    intercept() {
+      if (!state.options.captureNetwork || this.originals) {
+        return;
+      }
+      
+      this.originals = {
+        fetch: window.fetch,
+        xhrOpen: XMLHttpRequest.prototype.open,
+        xhrSend: XMLHttpRequest.prototype.send,
+        xhrSetRequestHeader: XMLHttpRequest.prototype.setRequestHeader,
+      };
+      const originals = this.originals;
+      const capture = this;
+      
+      window.fetch = async function(input, init = {}) {
+        const start = Date.now();
+        const url = typeof input === 'string' ? input : (input?.url || String(input));
+        const request = {
+          url,
+          method: init.method || input?.method || 'GET',
+          headers: init.headers || input?.headers,
+          body: init.body,
+        };
+        
+        // Always call original fetch first to avoid breaking page
+        let response;
+        try {
+          response = await originals.fetch.apply(window, arguments);
+        } catch (error) {
+          capture.safeRecord(request, { status: 0, error: error.message }, start);
+          throw error;
+        }
+        
+        if (state.recording && !capture.isOwnRequest(url)) {
+          capture.readResponse(response).then(body => {
+            capture.safeRecord(request, { status: response.status, headers: response.headers, body }, start);
+          });
+        }
+        return response;
+      };
+      
+      XMLHttpRequest.prototype.open = function(method, url, ...rest) {
+        try {
+          this._recapSdk = { method, url, headers: {}, start: Date.now() };
+        } catch (e) {
+          // Ignore
+        }
+        return originals.xhrOpen.apply(this, [method, url, ...rest]);
+      };
+      
+      XMLHttpRequest.prototype.setRequestHeader = function(name, value) {
+        try {
+          if (this._recapSdk) {
+            this._recapSdk.headers[name] = value;
+          }
+        } catch (e) {
+          // Ignore
+        }
+        return originals.xhrSetRequestHeader.apply(this, arguments);
+      };
+      
+      XMLHttpRequest.prototype.send = function(body) {
+        const xhr = this;
+        try {
+          if (xhr._recapSdk) {
+            xhr._recapSdk.body = body;
+            xhr.addEventListener('loadend', () => {
+              const info = xhr._recapSdk;
+              if (!state.recording || capture.isOwnRequest(info.url)) {
+                return;
+              }
+              
+              let responseBody = null;
+              try {
+                if (xhr.responseType === '' || xhr.responseType === 'text') {
+                  responseBody = xhr.responseText;
+                } else if (xhr.responseType === 'json') {
+                  responseBody = xhr.response;
+                }
+              } catch (e) {
+                // Response not readable
+              }
+              
+              capture.safeRecord(info, {
+                status: xhr.status,
+                headers: capture.parseRawHeaders(xhr.getAllResponseHeaders?.()),
+                body: responseBody,
+              }, info.start);
+            });
+          }
+        } catch (e) {
+          // Ignore setup errors
+        }
+        
+        return originals.xhrSend.apply(this, arguments);
+      };
+      
+      log('Network capture enabled');
+    },
+    
+    restore() {
+      if (!this.originals) {
+        return;
+      }
+      try {
+        window.fetch = this.originals.fetch;
+        XMLHttpRequest.prototype.open = this.originals.xhrOpen;
+        XMLHttpRequest.prototype.send = this.originals.xhrSend;
+        XMLHttpRequest.prototype.setRequestHeader = this.originals.xhrSetRequestHeader;
+      } catch (e) {
+        // Ignore restore errors
+      }
+      this.originals = null;
+    },
+    
+    async readResponse(response) {
+      try {
+        const type = response.headers.get('content-type') || '';
+        const length = Number(response.headers.get('content-length') || 0);
+        if (!/json|text|form/i.test(type) || length > state.options.maxBodyLength) {
+          return null;
+        }
+        return await response.clone().text();
+      } catch (e) {
+        return null;
+      }
+    },
+    
+    safeRecord(request, response, start) {
+      if (!state.recording || this.isOwnRequest(request.url)) {
+        return;
+      }
+      try {
+        this.record(request, response, start);
+      } catch (e) {
+        // Ignore recording errors - don't break page
+        log('Network capture failed:', e.message);
+      }
+    },
+    
+    record(request, response, start) {
+      const keys = Scrubber.keys();
+      
+      rrweb.record.addCustomEvent('network', {
+        url: Scrubber.scrubUrl(request.url, keys).substring(0, 200),
+        method: (request.method || 'GET').toUpperCase(),
+        status: response.status,
+        duration: Date.now() - start,
+        requestHeaders: this.filterHeaders(request.headers),
+        responseHeaders: this.filterHeaders(response.headers),
+        body: Scrubber.scrub(this.parseBody(request.body), keys),
+        responseBody: Scrubber.scrub(this.parseBody(response.body), keys),
+        error: response.error || null,
+      });
+    },
+    
+    parseBody(body) {
+      if (!body) {
+        return null;
+      }
+      try {
+        if (typeof body === 'string') {
+          if (body.length > state.options.maxBodyLength) {
+            return null;
+          }
+          try { return JSON.parse(body); } catch (e) {}
+          if (body.includes('=')) {
+            const obj = {};
+            new URLSearchParams(body).forEach((v, k) => obj[k] = v);
+            return Object.keys(obj).length ? obj : null;
+          }
+          return null;
+        }
+        if (body instanceof FormData) {
+          const obj = {};
+          body.forEach((v, k) => obj[k] = typeof v === 'string' ? v : '[File]');
+          return obj;
+        }
+        if (body instanceof URLSearchParams) {
+          const obj = {};
+          body.forEach((v, k) => obj[k] = v);
+          return obj;
+        }
+        if (typeof body === 'object' && !(body instanceof Blob) && !ArrayBuffer.isView(body) && !(body instanceof ArrayBuffer)) {
+          return body; // Already-parsed JSON (xhr.responseType = 'json')
+        }
+      } catch (e) {}
+      return null;
+    },
+    
+    /**
+     * Normalize Headers / array / object to a plain object, minus stripped headers
+     */
+    filterHeaders(headers) {
+      if (!headers) {
+        return null;
+      }
+      
+      const entries = [];
+      try {
+        if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+          headers.forEach((value, name) => entries.push([name, value]));
+        } else if (Array.isArray(headers)) {
+          entries.push(...headers);
+        } else {
+          entries.push(...Object.entries(headers));
+        }
+      } catch (e) {
+        return null;
+      }
+      
+      const strip = this.stripHeaders();
+      const result = {};
+      for (const [name, value] of entries) {
+        if (!strip.has(String(name).toLowerCase())) {
+          result[name] = value;
+        }
+      }
+      return Object.keys(result).length ? result : null;
+    },
+    
+    parseRawHeaders(raw) {
+      if (!raw) {
+        return null;
+      }
+      const headers = {};
+      for (const line of raw.trim().split(/[\r\n]+/)) {
+        const index = line.indexOf(':');
+        if (index > 0) {
+          headers[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+        }
+      }
+      return headers;
+    },
+  };
+
+  // ============================================================================
+  // Error Capture (console.error/warn, uncaught errors, rejections)
+  // ============================================================================
+  
+  /**
+   * Enabled by `config.errors.capture_console`, or while the flight recorder
+   * waits for an error trigger. Records `error` custom events in the shape
+   * the extension's timeline uses ({ errorType, message, source }), with
+   * messages scrubbed and capped at `maxErrorLength`.
+   */
+  const ErrorCapture = {
+    originals: null,
+    listeners: [],
+    capturing: false,
+    
+    isEnabled() {
+      const errors = state.config?.errors;
+      if (FlightRecorder.buffering() && FlightRecorder.accepts('error')) {
+        return true;
+      }
+      return !!(errors?.capture_console ?? errors?.captureConsole);
+    },
+    
+    setup() {
+      if (!this.isEnabled() || this.originals) {
+        return;
+      }
+      
+      this.originals = { error: console.error, warn: console.warn };
+      const originals = this.originals;
+      
+      console.error = (...args) => {
+        originals.error.apply(console, args);
+        this.capture('console.error', args);
+      };
+      console.warn = (...args) => {
+        originals.warn.apply(console, args);
+        this.capture('console.warn', args);
+      };
+      
+      const errorHandler = (event) => {
+        const location = event.filename ? ` (${event.filename}:${event.lineno}:${event.colno})` : '';
+        this.capture('uncaught', [event.error || event.message], location);
+      };
+      const rejectionHandler = (event) => {
+        this.capture('promise', [event.reason]);
+      };
+      
+      window.addEventListener('error', errorHandler);
+      window.addEventListener('unhandledrejection', rejectionHandler);
+      this.listeners = [['error', errorHandler], ['unhandledrejection', rejectionHandler]];
+      log('Error capture enabled');
+    },
+    
+    restore() {
+      if (!this.originals) {
+        return;
+      }
+      console.error = this.originals.error;
+      console.warn = this.originals.warn;
+      this.listeners.forEach(([type, handler]) => window.removeEventListener(type, handler));
+      this.listeners = [];
+      this.originals = null;
+    },
+    
+    format(arg) {
+      if (arg instanceof Error) {
+        return `${arg.name}: ${arg.message}${arg.stack ? '\n' + arg.stack.split('\n').slice(1, 4).join('\n') : ''}`;
+      }
+      if (arg && typeof arg === 'object') {
+        try {
+          return JSON.stringify(Scrubber.scrub(arg));
+        } catch (e) {
+          return String(arg);
+        }
+      }
+      return String(arg);
+    },
+    
+    capture(errorType, args, suffix = '') {
+      // Guard against errors raised while recording an error
+      if (!state.recording || this.capturing) {
+        return;
+      }
+      
+      this.capturing = true;
+      try {
+        const message = Scrubber.scrubText(args.map(a => this.format(a)).join(' ') + suffix);
+        const max = state.options.maxErrorLength;
+        
+        rrweb.record.addCustomEvent('error', {
+          errorType,
+          message: message.length > max ? message.slice(0, max) + '…' : message,
+          source: 'sdk',
+        });
+      } catch (e) {
+        // Never let error capture break the page
+      } finally {
+        this.capturing = false;
+      }
+    },
+  };
+
+  // ============================================================================
+  // Frustration Signals (rage clicks, dead clicks, focus thrash)
+  // ============================================================================
+  
+  /**
+   * Reads the rrweb event stream and records custom events, stamped at the
+   * click or focus that caused them, carrying the target's selector:
+   *   rage-click   { selector, text, tagName, count }        repeated clicks on one element
+   *   dead-click   { selector, text, tagName }               no DOM change, scroll or navigation after a click
+   *   focus-thrash { selector, label, selectors, switches }  fast back-and-forth between two fields
+   * The payloads match the extension's, so the trainer timeline shows both alike.
+   * Disabled with `captureFrustration: false`.
+   */
+  const Frustration = {
+    RAGE_CLICKS: 3,          // Clicks on one element...
+    RAGE_WINDOW: 1000,       // ...within this many ms
+    DEAD_CLICK_WINDOW: 1000, // Time a click has to change something
+    THRASH_SWITCHES: 4,      // Focus changes between the same two fields...
+    THRASH_WINDOW: 3000,     // ...within this many ms
+    // Clicking these focuses or toggles without touching the DOM
+    NO_FEEDBACK_SELECTOR: 'input, textarea, select, option, label, [contenteditable], video, audio',
+    clicks: [],
+    focuses: [],
+    thrashing: false,
+    pending: null,           // Click waiting for feedback: { id, timestamp, href, timer }
+    
+    isEnabled() {
+      return state.options?.captureFrustration !== false;
+    },
+    
+    inspect(event) {
+      if (!this.isEnabled() || event.type !== 3) {
+        return;
+      }
+      const { source, type, id } = event.data || {};
+      
+      if (source === 0 || source === 3) {
+        if (source === 3 || this.hasChanges(event.data)) {
+          this.cancelDeadClick();
+        }
+        return;
+      }
+      if (source !== 2) {
+        return;
+      }
+      if (type === 2) {
+        this.click(id, event.timestamp);
+      } else if (type === 5) {
+        this.focus(id, event.timestamp);
+      }
+    },
+    
+    hasChanges(data) {
+      return !!(data.adds?.length || data.removes?.length || data.texts?.length || data.attributes?.length);
+    },
+    
+    click(id, timestamp) {
+      const recent = this.clicks.filter(c => c.id === id && timestamp - c.timestamp <= this.RAGE_WINDOW);
+      this.clicks = [...recent, { id, timestamp }];
+      
+      const node = this.node(id);
+      if (this.clicks.length === this.RAGE_CLICKS) {
+        this.emit('rage-click', this.clicks[0].timestamp, { ...this.describe(node), count: this.RAGE_CLICKS });
+      }
+      
+      // The latest click gets the feedback window
+      this.cancelDeadClick();
+      if (!node || node.closest?.(this.NO_FEEDBACK_SELECTOR)) {
+        return;
+      }
+      const pending = { id, timestamp, href: location.href };
+      pending.timer = setTimeout(() => {
+        this.pending = null;
+        if (location.href !== pending.href) {
+          return;
+        }
+        this.emit('dead-click', timestamp, this.describe(node));
+      }, this.DEAD_CLICK_WINDOW);
+      this.pending = pending;
+    },
+    
+    cancelDeadClick() {
+      if (!this.pending) {
+        return;
+      }
+      clearTimeout(this.pending.timer);
+      this.pending = null;
+    },
+    
+    focus(id, timestamp) {
+      const recent = this.focuses.filter(f => timestamp - f.timestamp <= this.THRASH_WINDOW);
+      if (recent[recent.length - 1]?.id === id) {
+        return;
+      }
+      recent.push({ id, timestamp });
+      
+      // Keep the run that moves between two fields only
+      while (new Set(recent.map(f => f.id)).size > 2) {
+        recent.shift();
+      }
+      this.focuses = recent;
+      
+      const switches = recent.length - 1;
+      if (switches < this.THRASH_SWITCHES) {
+        this.thrashing = false;
+      } else if (!this.thrashing) {
+        this.thrashing = true;
+        const ids = [...new Set(recent.map(f => f.id))];
+        const node = this.node(id);
+        this.emit('focus-thrash', recent[0].timestamp, {
+          selector: this.describe(node).selector,
+          label: node ? ValidationCapture.label(node) : null,
+          selectors: ids.map(fieldId => this.describe(this.node(fieldId)).selector),
+          switches,
+        });
+      }
+    },
+    
+    reset() {
+      this.cancelDeadClick();
+      this.clicks = [];
+      this.focuses = [];
+      this.thrashing = false;
+    },
+    
+    node(id) {
+      try {
+        return rrweb.record.mirror?.getNode(id) || null;
+      } catch (e) {
+        return null;
+      }
+    },
+    
+    /**
+     * Selector in the extension's format (see EventParser.getSelector), plus
+     * visible text for buttons and links - never input values
+     */
+    describe(node) {
+      let selector = '';
+      if (node?.id) {
+        selector = `#${node.id}`;
+      } else if (node?.name) {
+        selector = `[name="${node.name}"]`;
+      } else if (typeof node?.className === 'string' && node.className) {
+        selector = `.${node.className.split(' ')[0]}`;
+      } else {
+        selector = node?.tagName?.toLowerCase() || '';
+      }
+      
+      const text = node?.textContent?.trim().slice(0, 50) || node?.getAttribute?.('aria-label') || null;
+      return { selector, text, tagName: node?.tagName?.toLowerCase() || null };
+    },
+    
+    emit(tag, timestamp, payload) {
+      if (!state.recording || !Recording.emit) {
+        return;
+      }
+      log('Frustration signal:', tag, payload.selector);
+      Recording.emit({ type: 5, data: { tag, payload }, timestamp });
+    },
+  };
+
+  // ============================================================================
+  // Performance Capture (Core Web Vitals, long tasks, submit timing)
+  // ============================================================================
+  
+  /**
+   * Enabled by `capturePerformance`. Records PerformanceObserver entries as
+   * custom events stamped with the time they occurred (not when observed), so
+   * the replay can show where the page was slow:
+   *   web-vital       { name: 'LCP' | 'CLS' | 'INP', value, rating, ... }
+   *   long-task       { duration, name }
+   *   resource-timing { url, initiator, duration, ttfb, transfer_size, status }
+   * LCP, CLS and INP are reported once per page, when it unloads or
+   * RecapSDK.stop() ends the recording (their values are only final then);
+   * resource timing is limited to `submitEndpoints`. The observers live as
+   * long as the page, so restarting the recording (route change, config
+   * refresh, consent) doesn't replay the buffered entries.
+   */
+  const PerformanceCapture = {
+    THRESHOLDS: { LCP: [2500, 4000], CLS: [0.1, 0.25], INP: [200, 500] },
+    observers: [],
+    since: 0,
+    lcp: null,
+    cls: { value: 0, entries: [], window: 0, windowStart: 0, windowLast: 0 },
+    interactions: new Map(),   // interactionId -> longest event entry
+    reported: false,
+    
+    isEnabled() {
+      return !!state.options?.capturePerformance && typeof PerformanceObserver !== 'undefined';
+    },
+    
+    /**
+     * URL substrings whose resource timing is recorded; defaults cover
+     * Adaptive Form submissions
+     */
+    submitEndpoints() {
+      return state.options.submitEndpoints || state.config?.network?.submit_endpoints || ['.af.submit', '/adobe/forms/af/submit'];
+    },
+    
+    observe(type, handler, options = {}) {
+      try {
+        const observer = new PerformanceObserver(list => list.getEntries().forEach(handler));
+        observer.observe({ type, buffered: true, ...options });
+        this.observers.push(observer);
+      } catch (e) {
+        log('PerformanceObserver type not supported:', type);
+      }
+    },
+    
+    start() {
+      if (!this.isEnabled()) {
+        return;
+      }
+      this.since = Date.now();
+      if (this.observers.length || this.reported) {
+        return;
+      }
+      
+      this.lcp = null;
+      this.cls = { value: 0, entries: [], window: 0, windowStart: 0, windowLast: 0 };
+      this.interactions = new Map();
+      
+      this.observe('largest-contentful-paint', entry => { this.lcp = entry; });
+      this.observe('layout-shift', entry => this.addShift(entry));
+      this.observe('event', entry => this.addInteraction(entry), { durationThreshold: 40 });
+      this.observe('longtask', entry => this.emit('long-task', entry.startTime, {
+        duration: Math.round(entry.duration),
+        name: entry.name,
+      }));
+      this.observe('resource', entry => this.addResource(entry));
+      log('Performance capture enabled');
+    },
+    
+    /**
+     * Report the final vitals and disconnect; other stops leave the
+     * observers running
+     * @param {boolean} final - Page unload or RecapSDK.stop()
+     */
+    stop(final = false) {
+      if (!final || !this.observers.length) {
+        return;
+      }
+      this.observers.forEach(observer => {
+        // Deliver entries still queued in the observer
+        observer.takeRecords?.().forEach(entry => {
+          if (entry.entryType === 'largest-contentful-paint') {
+            this.lcp = entry;
+          } else if (entry.entryType === 'layout-shift') {
+            this.addShift(entry);
+          } else if (entry.entryType === 'event') {
+            this.addInteraction(entry);
+          }
+        });
+        observer.disconnect();
+      });
+      this.observers = [];
+      this.reported = true;
+      this.reportVitals();
+    },
+    
+    /**
+     * CLS is the largest session window: shifts less than 1s apart,
+     * at most 5s long, ignoring shifts right after user input
+     */
+    addShift(entry) {
+      if (entry.hadRecentInput) {
+        return;
+      }
+      const cls = this.cls;
+      
+      if (cls.window && entry.startTime - cls.windowLast < 1000 && entry.startTime - cls.windowStart < 5000) {
+        cls.window += entry.value;
+      } else {
+        cls.window = entry.value;
+        cls.windowStart = entry.startTime;
+      }
+      cls.windowLast = entry.startTime;
+      
+      if (cls.window > cls.value) {
+        cls.value = cls.window;
+        cls.start = cls.windowStart;
+      }
+    },
+    
+    addInteraction(entry) {
+      if (!entry.interactionId) {
+        return;
+      }
+      const existing = this.interactions.get(entry.interactionId);
+      if (!existing || entry.duration > existing.duration) {
+        this.interactions.set(entry.interactionId, entry);
+      }
+    },
+    
+    /**
+     * INP: the worst interaction, ignoring one outlier per 50 interactions
+     */
+    inp() {
+      const sorted = [...this.interactions.values()].sort((a, b) => b.duration - a.duration);
+      return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length / 50))] || null;
+    },
+    
+    addResource(entry) {
+      const url = entry.name;
+      if (state.options.endpoint && url.startsWith(state.options.endpoint)) {
+        return;
+      }
+      if (!this.submitEndpoints().some(pattern => url.includes(pattern))) {
+        return;
+      }
+      
+      this.emit('resource-timing', entry.startTime, {
+        url: Scrubber.scrubUrl(url).slice(0, 200),
+        initiator: entry.initiatorType,
+        duration: Math.round(entry.duration),
+        ttfb: entry.responseStart ? Math.round(entry.responseStart - entry.requestStart) : null,
+        transfer_size: entry.transferSize ?? null,
+        status: entry.responseStatus || null,
+      });
+    },
+    
+    rating(name, value) {
+      const [good, poor] = this.THRESHOLDS[name];
+      return value <= good ? 'good' : value <= poor ? 'needs-improvement' : 'poor';
+    },
+    
+    reportVitals() {
+      const vital = (name, value, startTime, extra) => this.emit('web-vital', startTime, {
+        name,
+        value,
+        rating: this.rating(name, value),
+        ...extra,
+      });
       
-      return event;
+      if (this.lcp) {
+        vital('LCP', Math.round(this.lcp.startTime), this.lcp.startTime, {
+          element: this.describe(this.lcp.element),
+          url: this.lcp.url ? Scrubber.scrubUrl(this.lcp.url).slice(0, 200) : null,
+        });
+      }
+      if (this.cls.start !== undefined) {
+        vital('CLS', Math.round(this.cls.value * 1000) / 1000, this.cls.start);
+      }
+      const inp = this.inp();
+      if (inp) {
+        vital('INP', Math.round(inp.duration), inp.startTime, {
+          event_type: inp.name,
+          element: this.describe(inp.target),
+        });
+      }
     },
     
-    start() {
-      log('Recording.start() called, recording:', state.recording, 'rrweb:', typeof rrweb);
-      if (state.recording) {
-        log('Cannot start - already recording');
-        return false;
+    describe(el) {
+      if (!el?.tagName) {
+        return null;
       }
-      if (typeof rrweb === 'undefined') {
-        log('Cannot start - rrweb not loaded');
-        return false;
+      return el.tagName.toLowerCase() + (el.id ? `#${el.id}` : '');
+    },
+    
+    /**
+     * Emit a custom event at the entry's own time. Entries from before
+     * recording started are clamped to its start so they follow the
+     * initial snapshot.
+     */
+    emit(tag, startTime, payload) {
+      if (!state.recording || !Recording.emit) {
+        return;
       }
+      const origin = performance.timeOrigin || performance.timing?.navigationStart || 0;
+      const occurredAt = Math.round(origin + startTime);
       
-      state.sessionId = generateId();
-      state.startTime = Date.now();
-      state.lastActivity = Date.now();
-      state.events = [];
-      
-      log('Starting recording, session:', state.sessionId);
+      Recording.emit({
+        type: 5,
+        data: { tag, payload: { ...payload, start_time: occurredAt } },
+        timestamp: Math.max(occurredAt, this.since),
+      });
+    },
+  };
+
+  // ============================================================================
+  // Flight Recorder (ring buffer, upload on trigger)
+  // ============================================================================
+
+  /**
+   * With `flightRecorder: true`, sessions that lose the sampling draw still
+   * record, but only into memory: the buffer is trimmed to the last
+   * `flightBufferMs` / `flightBufferEvents` and nothing is sent until a
+   * trigger fires - a JS error, a 4xx/5xx or failed request, a message in
+   * the configured validation error container (see ValidationCapture), or
+   * RecapSDK.trigger(). The buffered lead-up
+   * is uploaded then, and the rest of the session records normally.
+   *
+   * Trimming only cuts at rrweb checkouts (Meta + FullSnapshot), so the
+   * uploaded buffer always starts with a replayable snapshot.
+   */
+  const FlightRecorder = {
+    active: false,
+    triggered: null,         // { reason, detail, at } once uploading
+    
+    isEnabled() {
+      return !!state.options?.flightRecorder;
+    },
+    
+    /**
+     * Recording into memory only, waiting for a trigger
+     */
+    buffering() {
+      return this.active && !this.triggered;
+    },
+    
+    accepts(reason) {
+      return reason === 'manual' || (state.options.flightTriggers || []).includes(reason);
+    },
+    
+    /**
+     * Called by the router with the outcome of the sampling draw
+     */
+    arm(active) {
+      this.active = !!active;
+      this.triggered = null;
+    },
+    
+    /**
+     * rrweb checkout intervals; half the window so a restart point is
+     * always available inside it
+     */
+    checkoutOptions() {
+      const { flightBufferMs, flightBufferEvents } = state.options;
+      return {
+        checkoutEveryNms: Math.min(60000, Math.max(1000, Math.floor(flightBufferMs / 2))),
+        checkoutEveryNth: Math.max(10, Math.floor(flightBufferEvents / 2)),
+      };
+    },
+    
+    /**
+     * Look at each recorded event for error and network triggers
+     */
+    inspect(event) {
+      if (!this.buffering() || event.type !== 5) {
+        return;
+      }
+      const { tag, payload } = event.data || {};
       
-      try {
-        const maskSelectors = state.config?.masking?.selectors || [];
-        
-        // Define emit callback with incremental input masking
-        const emitCallback = (event, isCheckout) => {
-          // Apply masking to incremental input events
-          const maskedEvent = maskSelectors.length > 0 
-            ? this.maskIncrementalInput(event, maskSelectors) 
-            : event;
-          
-          state.events.push(maskedEvent);
-          state.lastActivity = Date.now();
-          
-          // Auto-flush when batch size reached
-          if (state.events.length >= state.options.batchSize) {
-            Network.flush();
-          }
-          
-          // For test mode, also send individual events
-          if (state.options?.testMode) {
-            window.postMessage({ 
-              source: 'recap-sdk', 
-              type: 'RRWEB_EVENT', 
-              payload: { event: maskedEvent, eventCount: state.events.length }
-            }, '*');
-          }
-        };
-        
-        // Use shared RrwebUtils if available (for consistency with extension)
-        let recordOptions;
-        if (typeof window.RrwebUtils !== 'undefined') {
-          log('Using shared RrwebUtils for config');
-          log('Config passed to RrwebUtils:', {
-            hasMasking: !!state.config?.masking,
-            maskingSelectors: state.config?.masking?.selectors,
-            hasRrwebOptions: !!state.config?.rrweb_options
-          });
-          recordOptions = window.RrwebUtils.buildRecordOptions(state.config, emitCallback, { log });
-          log('rrweb options built:', {
-            hasMaskInputFn: typeof recordOptions.maskInputFn === 'function',
-            maskTextSelector: recordOptions.maskTextSelector,
-            ignoreSelector: recordOptions.ignoreSelector
-          });
-        } else {
-          // Standalone mode - build options inline
-          log('Using standalone config (RrwebUtils not available)');
-          const rrwebOptions = state.config?.rrweb_options || {};
-          
-          log('Masking config:', {
-            selectors: maskSelectors,
-            count: maskSelectors.length,
-            maskAllInputs: state.config?.masking?.mask_all_inputs
-          });
-          
-          recordOptions = {
-            emit: emitCallback,
-            ignoreSelector: rrwebOptions.ignoreSelector || null,
-            blockSelector: rrwebOptions.blockSelector || '.recap-block',
-            maskTextSelector: rrwebOptions.maskTextSelector || null,
-            maskInputOptions: rrwebOptions.maskInputOptions || { password: true },
-            ignoreClass: rrwebOptions.ignoreClass || 'recap-ignore',
-            blockClass: rrwebOptions.blockClass || 'recap-block',
-            sampling: rrwebOptions.sampling || { input: 'last', mousemove: false, scroll: 150 },
-            recordCanvas: rrwebOptions.recordCanvas ?? false,
-            collectFonts: rrwebOptions.collectFonts ?? false,
-            inlineStylesheet: true
-          };
-          
-          // Add maskInputFn for selective masking during initial snapshot
-          if (maskSelectors.length > 0) {
-            recordOptions.maskInputFn = (text, element) => {
-              if (!element) return text;
-              for (const sel of maskSelectors) {
-                try {
-                  if (element.matches?.(sel)) return '••••••••';
-                  if (sel.startsWith('#') && element.id === sel.slice(1)) return '••••••••';
-                  if (sel.startsWith('#') && element.id?.includes(sel.slice(1))) return '••••••••';
-                  if (sel.startsWith('[name=') && element.name) {
-                    const nameMatch = sel.match(/\[name="?([^"\]]+)"?\]/);
-                    if (nameMatch && (element.name === nameMatch[1] || element.name.includes(nameMatch[1]))) {
-                      return '••••••••';
-                    }
-                  }
-                } catch (e) {}
-              }
-              return text;
-            };
-          }
+      if (tag === 'error' && (payload?.errorType === 'uncaught' || payload?.errorType === 'promise')) {
+        if (this.accepts('error')) {
+          this.trigger('error', payload.message);
+        }
+      } else if (tag === 'network' && (payload?.status >= 400 || payload?.error)) {
+        if (this.accepts('network')) {
+          this.trigger('network', `${payload.method} ${payload.url} ${payload.status || payload.error}`);
         }
-        
-        // Add checkout for long sessions
-        recordOptions.checkoutEveryNms = 60000;
-        
-        state.stopFn = rrweb.record(recordOptions);
-        state.recording = true;
-        
-        // Setup periodic flush
-        this.flushInterval = setInterval(() => {
-          if (state.events.length > 0) {
-            Network.flush();
-          }
-        }, state.options.flushInterval);
-        
-        // Setup page unload handler
-        window.addEventListener('beforeunload', () => this.stop());
-        window.addEventListener('pagehide', () => this.stop());
-        
-        log('Recording started');
-        return true;
-      } catch (e) {
-        log('Failed to start recording:', e);
-        state.options?.onError?.(e);
-        return false;
       }
     },
     
-    stop() {
-      if (!state.recording) return;
-      
-      log('Stopping recording');
+    /**
+     * Called by ValidationCapture for messages in a configured container
+     */
+    validation(message) {
+      if (this.buffering() && this.accepts('validation')) {
+        this.trigger('validation', message);
+      }
+    },
+    
+    /**
+     * Drop whole checkout segments that fall outside the window
+     */
+    trim() {
+      const events = state.events;
+      const { flightBufferMs, flightBufferEvents } = state.options;
+      const cutoff = Date.now() - flightBufferMs;
       
-      if (state.stopFn) {
-        state.stopFn();
-        state.stopFn = null;
+      let cut = 0;
+      for (let i = 1; i < events.length; i++) {
+        if (events[i].type !== 4) {
+          continue;
+        }
+        // Cut at the latest restart point that still covers the window,
+        // or at the first one that brings the buffer under the count cap
+        if (events[i].timestamp <= cutoff || events.length - cut > flightBufferEvents) {
+          cut = i;
+        }
       }
       
-      if (this.flushInterval) {
-        clearInterval(this.flushInterval);
-        this.flushInterval = null;
+      if (cut > 0) {
+        EventBuffer.shift(cut);
+        log('Flight recorder trimmed', cut, 'events,', events.length, 'buffered');
+      }
+    },
+    
+    /**
+     * @param {string} reason - 'error' | 'network' | 'validation' | 'manual'
+     * @param {string} detail
+     * @returns {boolean} Whether the buffer was released
+     */
+    trigger(reason, detail = null) {
+      if (!this.buffering() || !state.recording || !this.accepts(reason)) {
+        return false;
       }
       
-      // Final flush
-      Network.flush();
+      this.trim();
+      this.triggered = { reason, detail, at: Date.now() };
+      log('Flight recorder triggered by', reason + ',', state.events.length, 'buffered events');
       
-      state.recording = false;
-      log('Recording stopped');
+      try {
+        rrweb.record.addCustomEvent('recap-trigger', { reason, detail, buffered_events: state.events.length });
+      } catch (e) {}
+      
+      // Later pages of this session record in full
+      Sampling.remember(state.config, true);
+      Network.flush();
+      return true;
     },
     
-    isRecording() {
-      return state.recording;
-    }
+    metadata() {
+      if (!this.triggered) {
+        return null;
+      }
+      return { trigger: this.triggered.reason, triggered_at: this.triggered.at };
+    },
   };
 
   // ============================================================================
@@ -378,7 +3960,7 @@
           this.stop();
           state.initialized = false;
           state.recording = false;
-          state.events = [];
+          EventBuffer.clear();
           state.config = null;
         }
       }
@@ -389,48 +3971,51 @@
       }
       
       state.options = { ...defaults, ...options };
+      Hooks.setup(state.options);
       log('Initializing v' + VERSION);
       
+      // Before sampling, which may persist the session decision, and
+      // before the outbox retry, which needs consent
+      Consent.setup();
+      
+      // Deliver batches left over from previous page views, even when
+      // this page ends up not being recorded
+      if (!state.options.testMode) {
+        Network.retryQueue();
+        window.addEventListener('online', () => Network.retryQueue(true));
+      }
+      
       // Load configuration
       try {
-        if (options.configUrl) {
-          const response = await fetch(options.configUrl);
-          state.config = await response.json();
-          log('Config loaded from:', options.configUrl);
-        } else if (options.config) {
-          state.config = options.config;
-          log('Using inline config');
-        } else {
-          log('No config provided, using defaults');
-          state.config = {};
-        }
+        await Router.load(options);
         
-        // Skip sampling and path checks in test mode
+        // Skip sampling, domain and path checks in test mode
         if (!state.options.testMode) {
-          // Check sampling rate
-          const samplingRate = state.config?.sampling_rate ?? 1;
-          if (!shouldSample(samplingRate)) {
-            log('Session not sampled (rate:', samplingRate, ')');
-            return;
-          }
-          
-          // Check path pattern
-          const pathPattern = state.config?.form?.path_pattern;
-          if (pathPattern && !this.matchesPath(pathPattern)) {
-            log('Path does not match pattern:', pathPattern);
+          // Re-evaluate on SPA route changes and config refreshes,
+          // even if this page is blocked
+          Router.listen();
+          Router.startRefresh();
+          if (Router.select()) {
             return;
           }
         } else {
+          state.config = Router.configs[0];
+          state.blocked = null;
           log('Test mode - skipping sampling/path checks');
         }
         
         state.initialized = true;
+        
         log('SDK initialized successfully, testMode:', !!options.testMode);
         state.options?.onReady?.();
         
         // Auto-start if not in test mode
         if (!options.testMode) {
-          Recording.start();
+          if (Consent.canRecord()) {
+            Recording.start();
+          } else {
+            log('Waiting for consent, status:', Consent.status);
+          }
         } else {
           log('Test mode - waiting for manual start()');
         }
@@ -446,6 +4031,7 @@
      */
     start() {
       log('RecapSDK.start() called, initialized:', state.initialized);
+      state.manualStop = false;
       if (!state.initialized) {
         log('Not initialized - cannot start');
         return false;
@@ -455,10 +4041,40 @@
       return result;
     },
     
+    /**
+     * Add a beforeEmit or beforeSend hook after init
+     * @param {'beforeEmit'|'beforeSend'} name
+     * @param {Function} fn
+     * @returns {Function} Removes the hook
+     */
+    addHook(name, fn) {
+      return Hooks.add(name, fn);
+    },
+    
+    /**
+     * Record the user's consent decision
+     * Starts recording (or releases the in-memory buffer) when granted;
+     * stops and discards everything unsent when denied.
+     * May be called before init().
+     * @param {boolean} granted
+     */
+    setConsent(granted) {
+      Consent.explicit = true;
+      Consent.update(!!granted, 'setConsent');
+    },
+    
+    /**
+     * Get consent status: 'pending' | 'granted' | 'denied'
+     */
+    getConsent() {
+      return Consent.status;
+    },
+    
     /**
      * Stop recording
      */
     stop() {
+      state.manualStop = true;
       Recording.stop();
     },
     
@@ -490,6 +4106,44 @@
       Network.flush();
     },
     
+    /**
+     * Link this and later batches to a user
+     * @param {string} id - Hashed with SHA-256 and `identitySalt`; never sent as is
+     * @param {Object} traits - Only keys listed in `identityTraits` are kept
+     * @returns {Promise<string|null>} The user hash, or null if it couldn't be computed
+     */
+    async identify(id, traits = {}) {
+      try {
+        return await Identity.identify(id, traits);
+      } catch (e) {
+        log('identify() failed:', e.message);
+        state.options?.onError?.(e);
+        return null;
+      }
+    },
+    
+    /**
+     * Forget the identity (call on logout). Recording continues under a new
+     * session so the next user's activity isn't linked to this one.
+     */
+    reset() {
+      if (state.recording) {
+        Recording.rotateSession(false);
+      } else {
+        Session.rotate(false);
+      }
+      log('Identity reset');
+    },
+    
+    /**
+     * Release the flight recorder buffer and keep uploading for this session
+     * @param {string} detail - Why, e.g. 'payment declined'
+     * @returns {boolean} Whether a buffering flight recorder was triggered
+     */
+    trigger(detail = null) {
+      return FlightRecorder.trigger('manual', detail);
+    },
+    
     /**
      * Add custom event
      */
@@ -519,6 +4173,71 @@
       return regex.test(path);
     },
     
+    /**
+     * Check if a host pattern matches the current page host
+     * Patterns: 'example.com', '*.example.com' (subdomains only),
+     * 'example.com:8080' (exact port), 'example.com:*' (any port).
+     * A pattern without a port matches any port.
+     */
+    matchesDomain(pattern, loc = location) {
+      if (!pattern) {
+        return false;
+      }
+      
+      const [host, port] = String(pattern).trim().toLowerCase()
+        .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+        .replace(/\/.*$/, '')
+        .split(':');
+      const hostname = loc.hostname.toLowerCase();
+      
+      if (port && port !== '*') {
+        const defaultPort = loc.protocol === 'http:' ? '80' : '443';
+        if (port !== (loc.port || defaultPort)) {
+          return false;
+        }
+      }
+      
+      if (host.startsWith('*.')) {
+        return hostname.endsWith(host.slice(1));
+      }
+      return hostname === host;
+    },
+    
+    /**
+     * Apply form.allowed_domains / form.excluded_domains
+     * @returns {{rule: string, detail: string}|null} The blocking rule, if any
+     */
+    checkDomains(form) {
+      const excluded = (form?.excluded_domains || []).find(p => this.matchesDomain(p));
+      if (excluded) {
+        return { rule: 'excluded_domains', detail: excluded };
+      }
+      
+      const allowed = form?.allowed_domains || [];
+      if (allowed.length && !allowed.some(p => this.matchesDomain(p))) {
+        return { rule: 'allowed_domains', detail: allowed.join(', ') };
+      }
+      return null;
+    },
+    
+    /**
+     * Explain the SDK's current state, including which rule (if any)
+     * stopped init from recording on this page
+     */
+    diagnose() {
+      return {
+        version: VERSION,
+        host: location.host,
+        path: location.pathname,
+        initialized: state.initialized,
+        recording: state.recording,
+        consent: Consent.status,
+        sessionId: state.sessionId,
+        blocked: state.blocked,
+        flightRecorder: FlightRecorder.active ? { buffering: FlightRecorder.buffering(), triggered: FlightRecorder.triggered } : null,
+      };
+    },
+    
     /**
      * Get configuration
      */
@@ -306,7 +306,7 @@
           steps: State.config.journey.steps.map(s => typeof s === 'object' ? s : { selector: s, name: null }),
           success_selector: State.config.journey.successSelector
         },
-        errors: { capture_console: State.config.options.captureConsole },
+        errors: { capture_console: State.config.options.captureConsole, error_container_selector: State.config.options.errorContainerSelector || null },
         rrweb_options: {
           ignoreSelector: ignoreSelectors.length ? ignoreSelectors.join(',') : null,
           maskTextSelector: maskSelectors.length ? maskSelectors.join(',') : null,
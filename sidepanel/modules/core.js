@@ -33,12 +33,14 @@ const EventTypes = Object.freeze({
   ALL: 'all', INPUT: 'input', CLICK: 'click',
   NETWORK: 'network', ERROR: 'error', SESSION: 'session',
   FOCUS: 'focus', BLUR: 'blur', SCROLL: 'scroll',
-  MUTATION: 'mutation', NAVIGATION: 'navigation'
+  MUTATION: 'mutation', NAVIGATION: 'navigation', FRUSTRATION: 'frustration',
+  ABANDON: 'abandon', VALIDATION: 'validation',
 });
 
 // Events shown in timeline by default
 const VisibleEvents = new Set([
-  'input', 'click', 'network', 'error', 'session', 'navigation', 'submit'
+  'input', 'click', 'network', 'error', 'session', 'navigation', 'submit', 'frustration', 'abandon',
+  'validation',
 ]);
 
 // Technical events hidden by default
@@ -121,7 +123,7 @@ const State = {
     masking: { selectors: [], maskAllInputs: false },
     network: { scrubKeys: [], stripHeaders: ['Authorization', 'Cookie'] },
     journey: { steps: [], successSelector: null },
-    options: { captureConsole: true },
+    options: { captureConsole: true, errorContainerSelector: '' },
     ignored: { selectors: [] }
   },
 
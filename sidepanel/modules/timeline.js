@@ -348,6 +348,34 @@
           detail: DOM.truncate(event.data?.message, 50),
           actions: []
         },
+        frustration: {
+          icon: '‼',
+          title: {
+            rage: `Rage click: ${event.data?.text ? DOM.truncate(event.data.text, 24) : getFieldName(sel, null)}`,
+            dead: `Dead click: ${event.data?.text ? DOM.truncate(event.data.text, 24) : getFieldName(sel, null)}`,
+            thrash: `Focus thrash: ${getFieldName(sel, event.data?.label)}`,
+          }[event.subtype] || 'Frustration',
+          detail: event.subtype === 'rage' ? `${event.data?.count} clicks · ${sel}`
+            : event.subtype === 'thrash' ? `${event.data?.switches} switches · ${(event.data?.selectors || []).join(' ↔ ')}`
+              : sel,
+          actions: [],
+        },
+        validation: {
+          icon: '✕',
+          title: `Validation: ${getFieldName(sel, event.data?.label)}`,
+          detail: DOM.truncate(event.data?.message, 50),
+          actions: [],
+        },
+        abandon: {
+          icon: '⏏',
+          title: `Abandoned${event.data?.lastStep ? ` at ${event.data.lastStep.name}` : ''}`,
+          detail: [
+            event.data?.lastField && `Last field: ${getFieldName(event.data.lastField, null)}`,
+            typeof event.data?.timeSinceLastInteraction === 'number' && `idle ${DOM.formatDuration(event.data.timeSinceLastInteraction)}`,
+            event.data?.validationErrorShowing && 'validation error showing',
+          ].filter(Boolean).join(' · '),
+          actions: [],
+        },
         navigation: {
           icon: '↻',
           title: 'Page Navigation',
@@ -331,6 +331,7 @@ window.Recap = window.Recap || {};
       // Options
       DOM.$('mask-all-inputs')?.addEventListener('change', e => State.config.masking.maskAllInputs = e.target.checked);
       DOM.$('capture-console')?.addEventListener('change', e => State.config.options.captureConsole = e.target.checked);
+      DOM.$('error-container-selector')?.addEventListener('change', e => State.config.options.errorContainerSelector = e.target.value.trim());
 
       // Tester mode
       DOM.$('btn-use-current-config')?.addEventListener('click', () => Tester.useCurrentConfig());